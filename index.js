@@ -19,11 +19,20 @@ import notificationsRoutes from './routes/notifications.js';
 import tokensRoutes from './routes/tokens.js';
 import stripeRoutes from './routes/stripe.js';
 import chatRoutes from './routes/chat.js';
+import reportRoutes from './routes/reports.js';
 
 // Import models
 import User from './models/User.js';
 import InvitationCode from './models/InvitationCode.js';
 import Category from './models/Category.js';
+import AdminEvent from './models/AdminEvent.js';
+
+// Import background jobs
+import { registerJob, startScheduler } from './utils/scheduler.js';
+import { expiryJobs } from './jobs/expiry.js';
+import { eventJobs } from './jobs/events.js';
+import { geoipJobs } from './jobs/geoip.js';
+import { INVITE_WAVE_EVENT } from './utils/adminEvents.js';
 
 // Initialize environment variables
 dotenv.config();
@@ -76,6 +85,8 @@ const initializeDatabase = async () => {
         username: process.env.OWNER_USERNAME,
         password: hashedPassword,
         badge: 'Owner',
+        emailVerified: true,
+        emailVerifiedAt: new Date().toISOString(),
         joinDate: new Date().toISOString(),
         lastSeen: new Date().toISOString(),
         ipAddress: '127.0.0.1',
@@ -112,6 +123,7 @@ const initializeDatabase = async () => {
       
       // Create default forum categories
       await createDefaultCategories(owner.uid);
+      await createDefaultEvents(owner.uid);
     } else {
       console.log('✅ Owner account already exists.');
       
@@ -120,12 +132,28 @@ const initializeDatabase = async () => {
       if (existingCategories === 0) {
         await createDefaultCategories(ownerExists.uid);
       }
+
+      // Announcements created before category access rules existed
+      await Category.updateOne(
+        { name: 'Announcements', access: { $exists: false } },
+        { $set: { 'access.createThread': ANNOUNCEMENTS_ACCESS.createThread } }
+      );
+
+      const existingEvents = await AdminEvent.countDocuments();
+      if (existingEvents === 0) {
+        await createDefaultEvents(ownerExists.uid);
+      }
     }
   } catch (error) {
     console.error('❌ Error initializing database:', error);
   }
 };
 
+// Everyone can reply to announcements, only staff can post them
+const ANNOUNCEMENTS_ACCESS = {
+  createThread: { badges: [], permissions: ['moderation.access'] }
+};
+
 // Create default forum categories
 const createDefaultCategories = async (ownerUid) => {
   try {
@@ -149,7 +177,8 @@ const createDefaultCategories = async (ownerUid) => {
             description: 'Official announcements and updates',
             icon: 'megaphone',
             color: '#f59e0b',
-            order: 3
+            order: 3,
+            access: ANNOUNCEMENTS_ACCESS
           },
           {
             name: 'Feature Requests',
@@ -183,6 +212,40 @@ const createDefaultCategories = async (ownerUid) => {
   }
 };
 
+// Create the built-in admin events as drafts
+const createDefaultEvents = async (ownerUid) => {
+  try {
+    const defaultEvents = [
+      INVITE_WAVE_EVENT,
+      {
+        name: 'Token Bonus',
+        description: 'Give all users bonus Desync$ tokens',
+        type: 'token_drop',
+        params: { amount: 10 }
+      }
+    ];
+
+    for (const eventData of defaultEvents) {
+      const existingEvent = await AdminEvent.findOne({ name: eventData.name });
+      if (!existingEvent) {
+        const event = new AdminEvent({
+          ...eventData,
+          createdBy: ownerUid
+        });
+        await event.save();
+        console.log(`🎉 Created event: ${eventData.name}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error creating default events:', error);
+  }
+};
+
+// Background jobs
+expiryJobs.forEach(registerJob);
+eventJobs.forEach(registerJob);
+geoipJobs.forEach(registerJob);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -196,6 +259,7 @@ app.use('/api/notifications', notificationsRoutes);
 app.use('/api/tokens', tokensRoutes);
 app.use('/api/stripe', stripeRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/reports', reportRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -227,7 +291,8 @@ app.get('/', (req, res) => {
       notifications: '/api/notifications',
       tokens: '/api/tokens',
       stripe: '/api/stripe',
-      chat: '/api/chat'
+      chat: '/api/chat',
+      reports: '/api/reports'
     }
   });
 });
@@ -252,6 +317,8 @@ app.use('*', (req, res) => {
 
 // Connect to database and start server
 connectDB().then(() => {
+  startScheduler();
+
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,7 @@
+import { runScheduledEvents } from '../utils/adminEvents.js';
+
+export const eventJobs = [
+  { name: 'run-scheduled-events', intervalMs: 60 * 1000, handler: runScheduledEvents, lockTtlMs: 30 * 60 * 1000 }
+];
+
+export default eventJobs;
@@ -0,0 +1,119 @@
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import UserRole from '../models/UserRole.js';
+import InvitationCode from '../models/InvitationCode.js';
+import Notification from '../models/Notification.js';
+import { invalidatePermissionCache } from '../utils/permissions.js';
+import { liftExpiredBans } from '../utils/bans.js';
+
+// Days before a paid role runs out that its owner gets a reminder
+const ROLE_EXPIRY_REMINDER_DAYS = parseInt(process.env.ROLE_EXPIRY_REMINDER_DAYS) || 3;
+
+// Roles users paid for (Stripe purchases and token redemptions)
+const PAID_ROLE_SOURCES = ['purchase', 'token_redemption'];
+
+const roleNames = async (roleIds) => {
+  const roles = await Role.find({ id: { $in: [...new Set(roleIds)] } });
+  return new Map(roles.map(role => [role.id, role.name]));
+};
+
+// Deactivate role assignments whose expiry has passed
+async function expireUserRoles() {
+  const now = new Date().toISOString();
+  const expired = await UserRole.find({ active: true, expiresAt: { $ne: null, $lte: now } });
+
+  const affectedUsers = new Set();
+  let deactivated = 0;
+  for (const userRole of expired) {
+    const result = await UserRole.updateOne(
+      { id: userRole.id, active: true },
+      { $set: { active: false, 'metadata.expiredAt': now } }
+    );
+    if (result.modifiedCount > 0) {
+      deactivated += result.modifiedCount;
+      affectedUsers.add(userRole.userUid);
+    }
+  }
+
+  affectedUsers.forEach(uid => invalidatePermissionCache(uid));
+  return { deactivated, users: affectedUsers.size };
+}
+
+// Remind users a few days before a paid role runs out
+async function sendRoleExpiryReminders() {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() + ROLE_EXPIRY_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+
+  const expiring = await UserRole.find({
+    active: true,
+    expiresAt: { $gt: now.toISOString(), $lte: cutoff.toISOString() },
+    'metadata.source': { $in: PAID_ROLE_SOURCES },
+    'metadata.reminderSentAt': { $exists: false }
+  });
+  if (expiring.length === 0) {
+    return { reminded: 0 };
+  }
+
+  const names = await roleNames(expiring.map(ur => ur.roleId));
+  let reminded = 0;
+
+  for (const userRole of expiring) {
+    // Claim the reminder first so a concurrent run can't send it twice
+    const claim = await UserRole.updateOne(
+      { id: userRole.id, 'metadata.reminderSentAt': { $exists: false } },
+      { $set: { 'metadata.reminderSentAt': now.toISOString() } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    const roleName = names.get(userRole.roleId) || 'role';
+    const daysLeft = Math.max(1, Math.ceil((new Date(userRole.expiresAt) - now) / (24 * 60 * 60 * 1000)));
+
+    await Notification.createNotification(
+      userRole.userUid,
+      'system',
+      `Your ${roleName} role expires soon`,
+      `Your ${roleName} role expires in ${daysLeft} day(s) on ${new Date(userRole.expiresAt).toUTCString()}. Renew it to keep your access.`,
+      { roleId: userRole.roleId, userRoleId: userRole.id, expiresAt: userRole.expiresAt },
+      userRole.id
+    );
+    reminded += 1;
+  }
+
+  return { reminded };
+}
+
+// Drop expired items from user inventories
+async function pruneExpiredInventory() {
+  const now = new Date().toISOString();
+  const users = await User.find({ 'inventory.expiresAt': { $ne: null, $lte: now } });
+
+  let removed = 0;
+  for (const user of users) {
+    const before = user.inventory.length;
+    await user.cleanExpiredItems();
+    removed += before - user.inventory.length;
+  }
+
+  return { users: users.length, removed };
+}
+
+// Flag invitation codes past their expiry date
+async function expireInvitationCodes() {
+  const now = new Date().toISOString();
+  const result = await InvitationCode.updateMany(
+    { expired: { $ne: true }, expiresAt: { $lte: now } },
+    { $set: { expired: true } }
+  );
+
+  return { expired: result.modifiedCount };
+}
+
+export const expiryJobs = [
+  { name: 'expire-user-roles', intervalMs: 5 * 60 * 1000, handler: expireUserRoles },
+  { name: 'role-expiry-reminders', intervalMs: 60 * 60 * 1000, handler: sendRoleExpiryReminders },
+  { name: 'prune-expired-inventory', intervalMs: 60 * 60 * 1000, handler: pruneExpiredInventory },
+  { name: 'expire-invitation-codes', intervalMs: 15 * 60 * 1000, handler: expireInvitationCodes },
+  { name: 'lift-expired-bans', intervalMs: 5 * 60 * 1000, handler: liftExpiredBans }
+];
+
+export default expiryJobs;
@@ -0,0 +1,33 @@
+import User from '../models/User.js';
+import { isGeoIpAvailable, lookupCountry } from '../utils/geoip.js';
+
+const BACKFILL_BATCH_SIZE = 500;
+
+// Resolve a country for users created before country tracking existed
+async function backfillUserCountries() {
+  if (!(await isGeoIpAvailable())) {
+    return { skipped: true };
+  }
+
+  const users = await User.find({ country: { $exists: false } })
+    .select('uid ipAddress')
+    .limit(BACKFILL_BATCH_SIZE);
+
+  let resolved = 0;
+  for (const user of users) {
+    const country = await lookupCountry(user.ipAddress);
+    // Stored even when null so the user isn't picked up again
+    await User.updateOne({ uid: user.uid }, { $set: { country } });
+    if (country) {
+      resolved += 1;
+    }
+  }
+
+  return { processed: users.length, resolved };
+}
+
+export const geoipJobs = [
+  { name: 'backfill-user-countries', intervalMs: 60 * 60 * 1000, handler: backfillUserCountries }
+];
+
+export default geoipJobs;
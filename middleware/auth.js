@@ -1,5 +1,27 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import UserIp from '../models/UserIp.js';
+import { attachPermissions } from '../utils/permissions.js';
+import { liftBanIfExpired } from '../utils/bans.js';
+import { findIpBan, ipBannedResponse } from '../utils/ipBans.js';
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+// Load the session an access token was issued for, or null if it is no longer usable
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await Session.findOne({ id: decoded.sid, userUid: decoded.uid });
+  if (!session || !session.isValid()) {
+    return null;
+  }
+
+  return session;
+};
 
 // Verify JWT token and attach user to request
 export const authenticateToken = async (req, res, next) => {
@@ -15,6 +37,15 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await findActiveSession(decoded);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
     const user = await User.findOne({ uid: decoded.uid });
 
     if (!user) {
@@ -24,22 +55,27 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    if (user.banned) {
+    if (user.banned && !(await liftBanIfExpired(user))) {
       return res.status(403).json({
         success: false,
         message: 'Account is banned',
-        user: {
-          banned: true,
-          banReason: user.banReason,
-          bannedAt: user.bannedAt
-        }
+        user: user.getBanDetails()
       });
     }
 
+    const ipBan = await findIpBan(getClientIP(req));
+    if (ipBan) {
+      return res.status(403).json(ipBannedResponse(ipBan));
+    }
+
     // Update last seen
     await user.updateLastSeen(req.ip);
+    await UserIp.record(user.uid, getClientIP(req));
+    await session.touch(getClientIP(req));
+    await attachPermissions(user);
     
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -71,11 +107,14 @@ export const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findOne({ uid: decoded.uid });
+      const session = await findActiveSession(decoded);
+      const user = session ? await User.findOne({ uid: decoded.uid }) : null;
       
-      if (user && !user.banned) {
+      if (user && (!user.banned || await liftBanIfExpired(user)) && !(await findIpBan(getClientIP(req)))) {
         await user.updateLastSeen(req.ip);
+        await attachPermissions(user);
         req.user = user;
+        req.authSession = session;
       }
     }
     
@@ -86,27 +125,31 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Check if user is admin (Owner or Admin)
-export const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
+// Staff badges that must have 2FA enabled before using privileged routes
+export const TWO_FACTOR_BADGES_SETTING = 'security.twoFactorRequiredBadges';
 
-  if (!req.user.isAdmin()) {
-    return res.status(403).json({
+// Reject staff whose badge requires 2FA but who have not enrolled yet
+const checkTwoFactorRequirement = async (req, res) => {
+  const requiredBadges = await Setting.getValue(TWO_FACTOR_BADGES_SETTING, []);
+
+  if (requiredBadges.includes(req.user.badge) && !req.user.twoFactor?.enabled) {
+    res.status(403).json({
       success: false,
-      message: 'Admin privileges required'
+      code: 'TWO_FACTOR_REQUIRED',
+      message: 'Two-factor authentication must be enabled to use this feature'
     });
+    return false;
   }
 
-  next();
+  return true;
 };
 
-// Check if user is moderator or higher
-export const requireModerator = (req, res, next) => {
+// Features that admins can put behind email verification
+export const EMAIL_VERIFICATION_FEATURES = ['forum.post', 'messages.send', 'purchases'];
+export const EMAIL_VERIFICATION_SETTING = 'security.emailVerificationRequiredFor';
+
+// Require a verified email for a feature, if admins have enabled that requirement
+export const requireVerifiedEmail = (feature) => async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -114,18 +157,30 @@ export const requireModerator = (req, res, next) => {
     });
   }
 
-  if (!req.user.isModerator()) {
-    return res.status(403).json({
+  try {
+    const requiredFor = await Setting.getValue(EMAIL_VERIFICATION_SETTING, []);
+
+    if (requiredFor.includes(feature) && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address to use this feature'
+      });
+    }
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    return res.status(500).json({
       success: false,
-      message: 'Moderator privileges required'
+      message: 'Authentication error'
     });
   }
 
   next();
 };
 
-// Check if user has support privileges or higher
-export const requireSupport = (req, res, next) => {
+// Require a permission from the catalogue in utils/permissions.js. Staff 2FA
+// requirements are enforced too unless enforceTwoFactor is false (member actions).
+export const requirePermission = (permission, deniedMessage = 'You do not have permission to do this', { enforceTwoFactor = true } = {}) => async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -133,16 +188,41 @@ export const requireSupport = (req, res, next) => {
     });
   }
 
-  if (!req.user.isSupport()) {
-    return res.status(403).json({
+  try {
+    await attachPermissions(req.user);
+
+    if (!req.user.hasPermission(permission)) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_DENIED',
+        permission,
+        message: deniedMessage
+      });
+    }
+
+    if (enforceTwoFactor && !(await checkTwoFactorRequirement(req, res))) {
+      return;
+    }
+  } catch (error) {
+    console.error('Permission check error:', error);
+    return res.status(500).json({
       success: false,
-      message: 'Support privileges required'
+      message: 'Authentication error'
     });
   }
 
   next();
 };
 
+// Check if user has admin access (Owner/Admin badge or a role granting it)
+export const requireAdmin = requirePermission('admin.access', 'Admin privileges required');
+
+// Check if user has moderator access or higher
+export const requireModerator = requirePermission('moderation.access', 'Moderator privileges required');
+
+// Check if user has support access or higher
+export const requireSupport = requirePermission('support.access', 'Support privileges required');
+
 // Check if user is owner
 export const requireOwner = (req, res, next) => {
   if (!req.user) {
@@ -162,20 +242,54 @@ export const requireOwner = (req, res, next) => {
   next();
 };
 
-// Generate JWT token
-export const generateToken = (user) => {
+// Generate short-lived JWT access token bound to a session
+export const generateToken = (user, session) => {
   return jwt.sign(
     { 
       uid: user.uid,
       email: user.email,
       username: user.username,
-      badge: user.badge
+      badge: user.badge,
+      sid: session.id
     },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' } // Token expires in 7 days
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Generate short-lived token proving the password step of a 2FA login succeeded
+export const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { uid: user.uid, purpose: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
   );
 };
 
+// Short-lived token that lets a banned user submit or check a ban appeal
+export const generateBanAppealToken = (user) => {
+  return jwt.sign(
+    { uid: user.uid, purpose: 'ban_appeal' },
+    process.env.JWT_SECRET,
+    { expiresIn: '30m' }
+  );
+};
+
+// Start a new session and issue an access/refresh token pair for it
+export const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.createSession(
+    user.uid,
+    getClientIP(req),
+    req.headers['user-agent']
+  );
+
+  return {
+    token: generateToken(user, session),
+    refreshToken,
+    session
+  };
+};
+
 // Extract IP address from request
 export const getClientIP = (req) => {
   return req.ip || 
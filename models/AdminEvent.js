@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+export const EVENT_TYPES = ['invite_wave', 'token_drop', 'role_grant', 'announcement'];
+
+const adminEventSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Event name is required'],
+    trim: true,
+    maxlength: [100, 'Event name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: [true, 'Event type is required']
+  },
+  // Type-specific settings: amount, itemExpiresInDays, roleId, roleDurationDays, title, message
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Which users the event applies to; empty lists mean everyone
+  targetFilter: {
+    badges: { type: [String], default: [] },
+    roleIds: { type: [Number], default: [] },
+    includeBanned: { type: Boolean, default: false }
+  },
+  scheduledFor: {
+    type: String,
+    default: null // run automatically at this time when status is 'scheduled'
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'draft'
+  },
+  runStartedAt: {
+    type: String,
+    default: null
+  },
+  lastExecutedAt: {
+    type: String,
+    default: null
+  },
+  executionCount: {
+    type: Number,
+    default: 0
+  },
+  key: {
+    type: String,
+    default: null // set on built-in events that are looked up by name, e.g. 'invite-wave'
+  },
+  createdBy: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+adminEventSchema.index({ status: 1, scheduledFor: 1 });
+adminEventSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+
+// Auto-increment id field
+adminEventSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastEvent = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastEvent ? lastEvent.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Events can only be edited before they have run
+adminEventSchema.methods.isEditable = function() {
+  return ['draft', 'scheduled', 'failed'].includes(this.status) && this.executionCount === 0;
+};
+
+// Remove sensitive data from JSON output
+adminEventSchema.methods.toJSON = function() {
+  const eventObject = this.toObject();
+  delete eventObject._id;
+  delete eventObject.__v;
+  return eventObject;
+};
+
+const AdminEvent = mongoose.model('AdminEvent', adminEventSchema);
+
+export default AdminEvent;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  actorUid: {
+    type: Number,
+    default: null, // null for actions taken by the system (scheduled jobs)
+    index: true
+  },
+  actorUsername: {
+    type: String,
+    default: null
+  },
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    index: true
+  },
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: String,
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Auto-increment id field; existing entries can never be re-saved
+auditLogSchema.pre('save', async function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are append-only'));
+  }
+  try {
+    const lastEntry = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+    this.id = lastEntry ? lastEntry.id + 1 : 1;
+  } catch (error) {
+    return next(error);
+  }
+  next();
+});
+
+// Block every update and delete path
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectMutation
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+// Remove sensitive data from JSON output
+auditLogSchema.methods.toJSON = function() {
+  const auditObject = this.toObject();
+  delete auditObject._id;
+  delete auditObject.__v;
+  return auditObject;
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
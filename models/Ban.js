@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const banSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  userUid: {
+    type: Number,
+    required: [true, 'User UID is required'],
+    index: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Ban reason is required']
+  },
+  bannedBy: {
+    type: Number,
+    default: null // null when issued automatically
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  },
+  expiresAt: {
+    type: String,
+    default: null // null for permanent bans
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  liftedAt: {
+    type: String,
+    default: null
+  },
+  liftedBy: {
+    type: Number,
+    default: null // null when the ban expired on its own
+  },
+  liftReason: {
+    type: String,
+    enum: ['expired', 'unbanned', 'appeal_approved', 'superseded', null],
+    default: null
+  },
+  inviterPenalizedAt: {
+    type: String,
+    default: null // set once the inviter has been penalised for this ban
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+banSchema.index({ userUid: 1, createdAt: -1 });
+banSchema.index({ active: 1, expiresAt: 1 });
+
+// Auto-increment id field
+banSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastBan = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastBan ? lastBan.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Check if a temporary ban has run out
+banSchema.methods.isExpired = function() {
+  if (!this.expiresAt) return false;
+  return new Date(this.expiresAt) <= new Date();
+};
+
+// Remove sensitive data from JSON output
+banSchema.methods.toJSON = function() {
+  const banObject = this.toObject();
+  delete banObject._id;
+  delete banObject.__v;
+  banObject.permanent = !this.expiresAt;
+  return banObject;
+};
+
+const Ban = mongoose.model('Ban', banSchema);
+
+export default Ban;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const banAppealSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  banId: {
+    type: Number,
+    required: [true, 'Ban ID is required'],
+    unique: true // one appeal per ban
+  },
+  userUid: {
+    type: Number,
+    required: [true, 'User UID is required'],
+    index: true
+  },
+  message: {
+    type: String,
+    required: [true, 'Appeal message is required'],
+    trim: true,
+    minlength: [20, 'Appeal must be at least 20 characters'],
+    maxlength: [5000, 'Appeal cannot exceed 5000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: Number,
+    default: null
+  },
+  reviewedAt: {
+    type: String,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    default: null,
+    maxlength: [2000, 'Review note cannot exceed 2000 characters']
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+banAppealSchema.index({ status: 1, createdAt: 1 });
+
+// Auto-increment id field
+banAppealSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastAppeal = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastAppeal ? lastAppeal.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Remove sensitive data from JSON output
+banAppealSchema.methods.toJSON = function() {
+  const appealObject = this.toObject();
+  delete appealObject._id;
+  delete appealObject.__v;
+  return appealObject;
+};
+
+const BanAppeal = mongoose.model('BanAppeal', banAppealSchema);
+
+export default BanAppeal;
@@ -1,5 +1,14 @@
 import mongoose from 'mongoose';
 
+export const CATEGORY_ACCESS_ACTIONS = ['view', 'createThread', 'reply'];
+
+// Who may do something in a category: anyone with one of the badges or one of
+// the permissions. A rule with neither is open to everyone.
+const accessRule = () => ({
+  badges: { type: [String], default: [] },
+  permissions: { type: [String], default: [] }
+});
+
 const categorySchema = new mongoose.Schema({
   id: {
     type: Number,
@@ -25,9 +34,13 @@ const categorySchema = new mongoose.Schema({
     type: String,
     default: '#6366f1'
   },
+  parentId: {
+    type: Number,
+    default: null // null for top-level categories
+  },
   order: {
     type: Number,
-    default: 0
+    default: 0 // position among siblings
   },
   threadCount: {
     type: Number,
@@ -54,12 +67,19 @@ const categorySchema = new mongoose.Schema({
   active: {
     type: Boolean,
     default: true
+  },
+  access: {
+    view: accessRule(),
+    createThread: accessRule(),
+    reply: accessRule()
   }
 }, {
   timestamps: true,
   versionKey: false
 });
 
+categorySchema.index({ parentId: 1, order: 1 });
+
 // Auto-increment id field
 categorySchema.pre('save', async function(next) {
   if (this.isNew) {
@@ -73,22 +93,21 @@ categorySchema.pre('save', async function(next) {
   next();
 });
 
-// Update thread count
+// Update thread count (deleted threads don't count)
 categorySchema.methods.updateThreadCount = async function() {
   const Thread = mongoose.model('Thread');
-  this.threadCount = await Thread.countDocuments({ categoryId: this.id });
+  this.threadCount = await Thread.countDocuments({ categoryId: this.id, deleted: false });
   return this.save();
 };
 
-// Update post count
+// Update post count (deleted posts and posts in deleted threads don't count)
 categorySchema.methods.updatePostCount = async function() {
   const Post = mongoose.model('Post');
   const Thread = mongoose.model('Thread');
   
-  const threads = await Thread.find({ categoryId: this.id });
-  const threadIds = threads.map(t => t.id);
+  const threadIds = await Thread.find({ categoryId: this.id, deleted: false }).distinct('id');
   
-  this.postCount = await Post.countDocuments({ threadId: { $in: threadIds } });
+  this.postCount = await Post.countDocuments({ threadId: { $in: threadIds }, deleted: false });
   return this.save();
 };
 
@@ -98,6 +117,24 @@ categorySchema.methods.updateLastActivity = function() {
   return this.save();
 };
 
+// Check whether a user (or a guest, when user is null) may view, start
+// threads in or reply in this category. Posting also requires view access.
+categorySchema.methods.canAccess = function(user, action) {
+  if (action !== 'view' && !this.canAccess(user, 'view')) {
+    return false;
+  }
+
+  const rule = this.access && this.access[action];
+  if (!rule || (rule.badges.length === 0 && rule.permissions.length === 0)) {
+    return true;
+  }
+  if (!user) {
+    return false;
+  }
+
+  return rule.badges.includes(user.badge) || rule.permissions.some(permission => user.hasPermission(permission));
+};
+
 // Remove sensitive data from JSON output
 categorySchema.methods.toJSON = function() {
   const categoryObject = this.toObject();
@@ -56,6 +56,9 @@ chatMessageSchema.methods.toJSON = function() {
   return messageObject;
 };
 
+// Used by the admin time-series stats
+chatMessageSchema.index({ createdAt: 1 });
+
 const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
 
 export default ChatMessage;
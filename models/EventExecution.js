@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+const eventExecutionSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  eventId: {
+    type: Number,
+    required: [true, 'Event ID is required'],
+    index: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    default: 'manual'
+  },
+  triggeredBy: {
+    type: Number,
+    default: null // null for scheduled runs
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {} // params and target filter the run used
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  targetedUsers: {
+    type: Number,
+    default: 0
+  },
+  affectedUsers: {
+    type: Number,
+    default: 0
+  },
+  failedUsers: {
+    type: Number,
+    default: 0
+  },
+  // Users already handled, so a crashed run resumes instead of starting over
+  processedUids: {
+    type: [Number],
+    default: [],
+    select: false
+  },
+  resumedAt: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  },
+  finishedAt: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Auto-increment id field
+eventExecutionSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastExecution = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastExecution ? lastExecution.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Remove sensitive data from JSON output
+eventExecutionSchema.methods.toJSON = function() {
+  const executionObject = this.toObject();
+  delete executionObject._id;
+  delete executionObject.__v;
+  return executionObject;
+};
+
+const EventExecution = mongoose.model('EventExecution', eventExecutionSchema);
+
+export default EventExecution;
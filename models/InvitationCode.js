@@ -43,7 +43,38 @@ const invitationCodeSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: 0
-  }
+  },
+  expired: {
+    type: Boolean,
+    default: false // set by the expiry sweeper once expiresAt has passed
+  },
+  campaign: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: [50, 'Campaign cannot exceed 50 characters']
+  },
+  revoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedBy: {
+    type: Number,
+    default: null
+  },
+  revokedAt: {
+    type: String,
+    default: null
+  },
+  inventoryItemId: {
+    type: Number,
+    default: null // inventory invite item this personal code was minted from
+  },
+  redemptions: [{
+    _id: false,
+    userUid: { type: Number, required: true },
+    redeemedAt: { type: String, default: () => new Date().toISOString() }
+  }]
 }, {
   timestamps: true,
   versionKey: false
@@ -55,6 +86,7 @@ invitationCodeSchema.methods.isValid = function() {
   const expiryDate = new Date(this.expiresAt);
   
   return !this.used && 
+         !this.revoked &&
          this.currentUses < this.maxUses && 
          now < expiryDate;
 };
@@ -62,6 +94,7 @@ invitationCodeSchema.methods.isValid = function() {
 // Mark code as used
 invitationCodeSchema.methods.markAsUsed = function(userId) {
   this.currentUses += 1;
+  this.redemptions.push({ userUid: userId, redeemedAt: new Date().toISOString() });
   
   if (this.currentUses >= this.maxUses) {
     this.used = true;
@@ -97,6 +130,11 @@ invitationCodeSchema.methods.toJSON = function() {
   return codeObject;
 };
 
+// Used by the admin time-series stats
+invitationCodeSchema.index({ usedAt: 1 });
+invitationCodeSchema.index({ 'redemptions.redeemedAt': 1 });
+invitationCodeSchema.index({ campaign: 1, createdAt: -1 });
+
 const InvitationCode = mongoose.model('InvitationCode', invitationCodeSchema);
 
 export default InvitationCode;
\ No newline at end of file
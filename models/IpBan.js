@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+const ipBanSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  range: {
+    type: String,
+    required: [true, 'IP address or CIDR range is required'],
+    trim: true // single address ('1.2.3.4') or CIDR ('1.2.3.0/24', '2001:db8::/32')
+  },
+  reason: {
+    type: String,
+    required: [true, 'Ban reason is required']
+  },
+  createdBy: {
+    type: Number,
+    default: null
+  },
+  userUid: {
+    type: Number,
+    default: null // account the ban was issued for, if any
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  },
+  expiresAt: {
+    type: String,
+    default: null // null for permanent bans
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  liftedBy: {
+    type: Number,
+    default: null
+  },
+  liftedAt: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+ipBanSchema.index({ active: 1, expiresAt: 1 });
+
+// Auto-increment id field
+ipBanSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastBan = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastBan ? lastBan.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Check if the ban currently applies
+ipBanSchema.methods.isInEffect = function() {
+  return this.active && (!this.expiresAt || new Date(this.expiresAt) > new Date());
+};
+
+// Remove sensitive data from JSON output
+ipBanSchema.methods.toJSON = function() {
+  const banObject = this.toObject();
+  delete banObject._id;
+  delete banObject.__v;
+  banObject.inEffect = this.isInEffect();
+  return banObject;
+};
+
+const IpBan = mongoose.model('IpBan', ipBanSchema);
+
+export default IpBan;
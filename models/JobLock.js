@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true
+  },
+  lockedBy: {
+    type: String,
+    default: null // instance id of the server currently running the job
+  },
+  lockedUntil: {
+    type: String,
+    default: null
+  },
+  nextRunAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  },
+  lastStartedAt: {
+    type: String,
+    default: null
+  },
+  lastFinishedAt: {
+    type: String,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed', null],
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Check if another instance currently holds the lock
+jobLockSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil) && new Date(this.lockedUntil) > new Date();
+};
+
+// Remove sensitive data from JSON output
+jobLockSchema.methods.toJSON = function() {
+  const lockObject = this.toObject();
+  delete lockObject._id;
+  delete lockObject.__v;
+  lockObject.locked = this.isLocked();
+  return lockObject;
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
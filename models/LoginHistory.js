@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+const loginHistorySchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  userUid: {
+    type: Number,
+    default: null, // null when the email didn't match an account
+    index: true
+  },
+  email: {
+    type: String,
+    default: null,
+    lowercase: true
+  },
+  ipAddress: {
+    type: String,
+    default: '0.0.0.0'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  country: {
+    type: String,
+    default: null
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['password', '2fa', 'recovery_code', 'registration'],
+    default: 'password'
+  },
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+loginHistorySchema.index({ userUid: 1, createdAt: -1 });
+loginHistorySchema.index({ userUid: 1, success: 1, ipAddress: 1, userAgent: 1 });
+
+// Auto-increment id field
+loginHistorySchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastEntry = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastEntry ? lastEntry.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Remove sensitive data from JSON output
+loginHistorySchema.methods.toJSON = function() {
+  const historyObject = this.toObject();
+  delete historyObject._id;
+  delete historyObject.__v;
+  return historyObject;
+};
+
+const LoginHistory = mongoose.model('LoginHistory', loginHistorySchema);
+
+export default LoginHistory;
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+const loginThrottleSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true // 'account:<uid>' or 'ip:<address>'
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  userUid: {
+    type: Number,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  failures: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastFailureAt: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: String,
+    default: null
+  },
+  lockouts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastLockoutAt: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Auto-increment id field
+loginThrottleSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastThrottle = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastThrottle ? lastThrottle.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Check if currently locked out
+loginThrottleSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil) && new Date(this.lockedUntil) > new Date();
+};
+
+// Seconds until the lockout ends
+loginThrottleSchema.methods.getRetryAfter = function() {
+  if (!this.isLocked()) return 0;
+  return Math.ceil((new Date(this.lockedUntil).getTime() - Date.now()) / 1000);
+};
+
+// Clear failures and any active lockout
+loginThrottleSchema.methods.clear = function() {
+  this.failures = 0;
+  this.lockedUntil = null;
+  this.lockouts = 0;
+  return this.save();
+};
+
+// Remove sensitive data from JSON output
+loginThrottleSchema.methods.toJSON = function() {
+  const throttleObject = this.toObject();
+  delete throttleObject._id;
+  delete throttleObject.__v;
+  throttleObject.locked = this.isLocked();
+  return throttleObject;
+};
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default LoginThrottle;
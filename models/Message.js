@@ -85,6 +85,9 @@ messageSchema.methods.toJSON = function() {
   return messageObject;
 };
 
+// Used by the admin time-series stats
+messageSchema.index({ createdAt: 1 });
+
 const Message = mongoose.model('Message', messageSchema);
 
 export default Message;
@@ -173,6 +173,12 @@ postSchema.methods.toJSON = function() {
   return postObject;
 };
 
+// Used by the admin time-series stats
+postSchema.index({ createdAt: 1 });
+
+// Full-text forum search
+postSchema.index({ content: 'text' }, { name: 'post_text' });
+
 const Post = mongoose.model('Post', postSchema);
 
 export default Post;
\ No newline at end of file
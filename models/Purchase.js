@@ -199,6 +199,9 @@ purchaseSchema.methods.toJSON = function() {
   return purchaseObject;
 };
 
+// Used by the admin time-series stats
+purchaseSchema.index({ status: 1, completedAt: 1 });
+
 const Purchase = mongoose.model('Purchase', purchaseSchema);
 
 export default Purchase;
\ No newline at end of file
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+export const REPORT_TARGET_TYPES = ['thread', 'post', 'chat_message', 'message', 'user'];
+export const REPORT_STATUSES = ['pending', 'claimed', 'resolved', 'dismissed'];
+
+const reportSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: [true, 'Report target type is required']
+  },
+  targetId: {
+    type: Number,
+    required: [true, 'Report target ID is required']
+  },
+  targetUserUid: {
+    type: Number,
+    default: null // author of the reported content, or the reported user
+  },
+  targetSnapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null // copy of the content at report time, in case it is edited or deleted
+  },
+  reason: {
+    type: String,
+    required: [true, 'Report reason is required'],
+    trim: true,
+    maxlength: [100, 'Reason cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  reportedBy: {
+    type: Number,
+    required: [true, 'Reporter UID is required']
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'pending'
+  },
+  claimedBy: {
+    type: Number,
+    default: null
+  },
+  claimedAt: {
+    type: String,
+    default: null
+  },
+  reviewedBy: {
+    type: Number,
+    default: null
+  },
+  reviewedAt: {
+    type: String,
+    default: null
+  },
+  actionNote: {
+    type: String,
+    default: null,
+    maxlength: [2000, 'Action note cannot exceed 2000 characters']
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ targetType: 1, targetId: 1 });
+reportSchema.index({ reportedBy: 1, createdAt: -1 });
+
+// Auto-increment id field
+reportSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastReport = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastReport ? lastReport.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Check if a moderator still needs to act on the report
+reportSchema.methods.isOpen = function() {
+  return this.status === 'pending' || this.status === 'claimed';
+};
+
+// Close the report with an outcome
+reportSchema.methods.close = function(status, moderatorUid, actionNote) {
+  this.status = status;
+  this.reviewedBy = moderatorUid;
+  this.reviewedAt = new Date().toISOString();
+  this.actionNote = actionNote || null;
+  return this.save();
+};
+
+// Remove sensitive data from JSON output
+reportSchema.methods.toJSON = function() {
+  const reportObject = this.toObject();
+  delete reportObject._id;
+  delete reportObject.__v;
+  return reportObject;
+};
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+export const REVISION_CONTENT_TYPES = ['thread', 'post'];
+
+// A previous version of a thread or post, saved whenever it is edited
+const revisionSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  contentType: {
+    type: String,
+    enum: REVISION_CONTENT_TYPES,
+    required: [true, 'Content type is required']
+  },
+  contentId: {
+    type: Number,
+    required: [true, 'Content ID is required']
+  },
+  threadId: {
+    type: Number,
+    required: [true, 'Thread ID is required']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    default: null // threads only
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  authorUid: {
+    type: Number,
+    required: true
+  },
+  editedBy: {
+    type: Number,
+    required: [true, 'Editor UID is required'] // who replaced this version
+  },
+  editedAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+revisionSchema.index({ contentType: 1, contentId: 1, version: 1 }, { unique: true });
+
+// Auto-increment id field
+revisionSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastRevision = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastRevision ? lastRevision.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Save the current state of a thread or post before it is edited
+revisionSchema.statics.recordVersion = async function(contentType, doc, editedBy) {
+  const lastRevision = await this.findOne({ contentType, contentId: doc.id }, {}, { sort: { version: -1 } });
+
+  const revision = new this({
+    contentType,
+    contentId: doc.id,
+    threadId: contentType === 'thread' ? doc.id : doc.threadId,
+    version: lastRevision ? lastRevision.version + 1 : 1,
+    title: contentType === 'thread' ? doc.title : null,
+    content: doc.content,
+    authorUid: doc.authorUid,
+    editedBy
+  });
+
+  return revision.save();
+};
+
+// Remove sensitive data from JSON output
+revisionSchema.methods.toJSON = function() {
+  const revisionObject = this.toObject();
+  delete revisionObject._id;
+  delete revisionObject.__v;
+  return revisionObject;
+};
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+export default Revision;
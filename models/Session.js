@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  userUid: {
+    type: Number,
+    required: [true, 'User UID is required'],
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  ipAddress: {
+    type: String,
+    default: '0.0.0.0'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  },
+  lastUsedAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  },
+  expiresAt: {
+    type: String,
+    required: true
+  },
+  revoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: String,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Auto-increment id field
+sessionSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastSession = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastSession ? lastSession.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Refresh tokens are only ever stored as SHA-256 hashes
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+sessionSchema.statics.generateRefreshToken = function() {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Create a new session and return it together with the plain refresh token
+sessionSchema.statics.createSession = async function(userUid, ipAddress, userAgent) {
+  const refreshToken = this.generateRefreshToken();
+  const session = new this({
+    userUid,
+    refreshTokenHash: this.hashToken(refreshToken),
+    ipAddress: ipAddress || '0.0.0.0',
+    userAgent: (userAgent || '').substring(0, 500),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  });
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userUid, reason = null, exceptSessionId = null) {
+  const query = { userUid, revoked: false };
+  if (exceptSessionId) {
+    query.id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, {
+    $set: {
+      revoked: true,
+      revokedAt: new Date().toISOString(),
+      revokedReason: reason
+    }
+  });
+};
+
+// Check if session is expired
+sessionSchema.methods.isExpired = function() {
+  return new Date(this.expiresAt) < new Date();
+};
+
+// Check if session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revoked && !this.isExpired();
+};
+
+// Replace the refresh token, keeping the old hash to detect reuse.
+// The swap only matches the token this session was loaded with, so of two
+// concurrent refreshes with the same token only one wins; the other gets null.
+sessionSchema.methods.rotate = async function(ipAddress, userAgent) {
+  const Session = this.constructor;
+  const refreshToken = Session.generateRefreshToken();
+  const update = {
+    previousTokenHash: this.refreshTokenHash,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    lastUsedAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  };
+  if (ipAddress) {
+    update.ipAddress = ipAddress;
+  }
+  if (userAgent) {
+    update.userAgent = userAgent.substring(0, 500);
+  }
+
+  const rotated = await Session.findOneAndUpdate(
+    { id: this.id, refreshTokenHash: this.refreshTokenHash, revoked: false },
+    { $set: update },
+    { new: true }
+  );
+  if (!rotated) {
+    return null;
+  }
+  this.set(update);
+  return refreshToken;
+};
+
+// Update last used time, at most once per minute
+sessionSchema.methods.touch = function(ipAddress) {
+  const lastUsed = new Date(this.lastUsedAt).getTime();
+  if (Date.now() - lastUsed < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+  this.lastUsedAt = new Date().toISOString();
+  if (ipAddress) {
+    this.ipAddress = ipAddress;
+  }
+  return this.save();
+};
+
+// Revoke session
+sessionSchema.methods.revoke = function(reason = null) {
+  this.revoked = true;
+  this.revokedAt = new Date().toISOString();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Remove sensitive data from JSON output
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject();
+  delete sessionObject._id;
+  delete sessionObject.__v;
+  delete sessionObject.refreshTokenHash;
+  delete sessionObject.previousTokenHash;
+  return sessionObject;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
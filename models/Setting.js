@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// Settings are read on hot paths (middleware), so keep them briefly in memory
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: Number,
+    default: null
+  },
+  updatedAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Get a setting value, falling back to a default when it has never been set
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await this.findOne({ key });
+  const value = setting && setting.value !== null && setting.value !== undefined
+    ? setting.value
+    : defaultValue;
+
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+// Create or update a setting value
+settingSchema.statics.setValue = async function(key, value, updatedBy = null) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    {
+      $set: {
+        value,
+        updatedBy,
+        updatedAt: new Date().toISOString()
+      }
+    },
+    { new: true, upsert: true }
+  );
+
+  cache.delete(key);
+  return setting;
+};
+
+// Remove sensitive data from JSON output
+settingSchema.methods.toJSON = function() {
+  const settingObject = this.toObject();
+  delete settingObject._id;
+  delete settingObject.__v;
+  return settingObject;
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
@@ -70,6 +70,18 @@ const threadSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  edited: {
+    type: Boolean,
+    default: false
+  },
+  editedBy: {
+    type: Number,
+    default: null
+  },
+  editedAt: {
+    type: String,
+    default: null
+  },
   deleted: {
     type: Boolean,
     default: false
@@ -133,6 +145,17 @@ threadSchema.methods.togglePin = function() {
   return this.save();
 };
 
+// Edit thread
+threadSchema.methods.editThread = function(newTitle, newContent, editedBy) {
+  this.title = newTitle;
+  this.content = newContent;
+  this.edited = true;
+  this.editedBy = editedBy;
+  this.editedAt = new Date().toISOString();
+  this.updatedAt = new Date().toISOString();
+  return this.save();
+};
+
 // Soft delete thread
 threadSchema.methods.softDelete = function(deletedBy) {
   this.deleted = true;
@@ -157,6 +180,12 @@ threadSchema.methods.toJSON = function() {
   return threadObject;
 };
 
+// Used by the admin time-series stats
+threadSchema.index({ createdAt: 1 });
+
+// Full-text forum search; title matches rank higher than body matches
+threadSchema.index({ title: 'text', content: 'text' }, { weights: { title: 10, content: 2 }, name: 'thread_text' });
+
 const Thread = mongoose.model('Thread', threadSchema);
 
 export default Thread;
\ No newline at end of file
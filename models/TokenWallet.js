@@ -159,6 +159,9 @@ tokenWalletSchema.methods.toJSON = function() {
   return walletObject;
 };
 
+// Used by the admin time-series stats
+tokenWalletSchema.index({ 'transactions.createdAt': 1 });
+
 const TokenWallet = mongoose.model('TokenWallet', tokenWalletSchema);
 
 export default TokenWallet;
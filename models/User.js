@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import validator from 'validator';
+import { hasPermission, getBadgePermissions } from '../utils/permissions.js';
 
 const userSchema = new mongoose.Schema({
   uid: {
@@ -19,6 +20,14 @@ const userSchema = new mongoose.Schema({
       message: 'Email must be from Gmail, Hotmail, or Outlook'
     }
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: String,
+    default: null
+  },
   username: {
     type: String,
     required: [true, 'Username is required'],
@@ -49,6 +58,23 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: '0.0.0.0'
   },
+  country: {
+    type: String,
+    default: null // ISO country code of the last sign-in
+  },
+  registrationCountry: {
+    type: String,
+    default: null
+  },
+  invitationCode: {
+    type: String,
+    default: null // code used to register
+  },
+  invitedBy: {
+    type: Number,
+    default: null, // UID of the code's creator
+    index: true
+  },
   messages: {
     type: Number,
     default: 0,
@@ -82,19 +108,6 @@ const userSchema = new mongoose.Schema({
     relatedId: Number, // Thread ID, Post ID, etc.
     fromUserId: Number
   }],
-  reports: [{
-    id: Number,
-    type: { type: String, enum: ['thread', 'post', 'user'] },
-    targetId: Number, // Thread ID, Post ID, or User ID
-    reason: String,
-    description: String,
-    reportedBy: Number,
-    status: { type: String, enum: ['pending', 'reviewed', 'resolved', 'dismissed'], default: 'pending' },
-    createdAt: String,
-    reviewedBy: Number,
-    reviewedAt: String,
-    action: String // What action was taken
-  }],
   points: {
     type: Number,
     default: 0,
@@ -116,6 +129,18 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  banExpiresAt: {
+    type: String,
+    default: null // null for permanent bans
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    pendingSecret: { type: String, default: null },
+    recoveryCodes: { type: [String], default: [] }, // SHA-256 hashes, single use
+    lastUsedStep: { type: Number, default: null }, // Rejects replay of the same code
+    enabledAt: { type: String, default: null }
+  },
   inventory: [{
     id: { type: Number, required: true },
     name: { type: String, required: true },
@@ -155,19 +180,33 @@ userSchema.methods.updateLastSeen = function(ipAddress) {
   return this.save();
 };
 
+// Mark email address as verified
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date().toISOString();
+  return this.save();
+};
+
+// Check a permission. Uses the permissions resolved by the auth middleware
+// (badge + roles) when available, otherwise the badge defaults.
+userSchema.methods.hasPermission = function(permission) {
+  const granted = this.$locals.permissions || getBadgePermissions(this.badge);
+  return hasPermission(granted, permission);
+};
+
 // Check if user can perform admin actions
 userSchema.methods.isAdmin = function() {
-  return ['Owner', 'Admin'].includes(this.badge);
+  return this.hasPermission('admin.access');
 };
 
 // Check if user can moderate
 userSchema.methods.isModerator = function() {
-  return ['Owner', 'Admin', 'Moderator'].includes(this.badge);
+  return this.hasPermission('moderation.access');
 };
 
 // Check if user has support privileges
 userSchema.methods.isSupport = function() {
-  return ['Owner', 'Admin', 'Moderator', 'Support'].includes(this.badge);
+  return this.hasPermission('support.access');
 };
 
 // Increment message count
@@ -183,11 +222,12 @@ userSchema.methods.addPoints = function(points) {
 };
 
 // Ban user
-userSchema.methods.banUser = function(reason, bannedBy) {
+userSchema.methods.banUser = function(reason, bannedBy, expiresAt = null) {
   this.banned = true;
   this.banReason = reason;
   this.bannedAt = new Date().toISOString();
   this.bannedBy = bannedBy;
+  this.banExpiresAt = expiresAt;
   return this.save();
 };
 
@@ -197,9 +237,26 @@ userSchema.methods.unbanUser = function() {
   this.banReason = null;
   this.bannedAt = null;
   this.bannedBy = null;
+  this.banExpiresAt = null;
   return this.save();
 };
 
+// Check if a temporary ban has run out (it is lifted on next access or by the sweeper)
+userSchema.methods.isBanExpired = function() {
+  return this.banned && Boolean(this.banExpiresAt) && new Date(this.banExpiresAt) <= new Date();
+};
+
+// Ban details shared with the banned user
+userSchema.methods.getBanDetails = function() {
+  return {
+    banned: this.banned,
+    banReason: this.banReason,
+    bannedAt: this.bannedAt,
+    banExpiresAt: this.banExpiresAt,
+    permanent: this.banned && !this.banExpiresAt
+  };
+};
+
 // Change user rank/badge
 userSchema.methods.changeRank = function(newBadge) {
   const validBadges = ['Owner', 'Admin', 'Moderator', 'Support', 'Premium', 'Known', 'Member'];
@@ -212,7 +269,8 @@ userSchema.methods.changeRank = function(newBadge) {
 
 // Inventory management methods
 userSchema.methods.addInventoryItem = function(name, type, description, expiresAt = null) {
-  const newId = this.inventory.length > 0 ? Math.max(...this.inventory.map(item => item.id)) + 1 : 1;
+  // Older invite waves used fractional Date.now() + Math.random() ids, so round them down
+  const newId = this.inventory.length > 0 ? Math.floor(Math.max(...this.inventory.map(item => item.id))) + 1 : 1;
   const newItem = {
     id: newId,
     name,
@@ -263,11 +321,19 @@ userSchema.methods.cleanExpiredItems = function() {
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  userObject.twoFactor = {
+    enabled: Boolean(this.twoFactor && this.twoFactor.enabled),
+    enabledAt: this.twoFactor ? this.twoFactor.enabledAt : null,
+    recoveryCodesRemaining: this.twoFactor ? this.twoFactor.recoveryCodes.length : 0
+  };
   delete userObject._id;
   delete userObject.__v;
   return userObject;
 };
 
+// Used by the admin time-series stats
+userSchema.index({ joinDate: 1 });
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Skip re-recording the same user/IP pair on every request
+const RECORD_THROTTLE_MS = 10 * 60 * 1000;
+const recentlyRecorded = new Map();
+
+const userIpSchema = new mongoose.Schema({
+  userUid: {
+    type: Number,
+    required: [true, 'User UID is required']
+  },
+  ipAddress: {
+    type: String,
+    required: [true, 'IP address is required'],
+    index: true
+  },
+  firstSeenAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  },
+  lastSeenAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  },
+  hits: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+userIpSchema.index({ userUid: 1, ipAddress: 1 }, { unique: true });
+
+// Strip the IPv6 prefix Node puts on IPv4 clients ('::ffff:1.2.3.4')
+userIpSchema.statics.normalizeIp = function(ipAddress) {
+  if (!ipAddress) return null;
+  return ipAddress.startsWith('::ffff:') ? ipAddress.substring(7) : ipAddress;
+};
+
+// Record that a user was seen on an IP address
+userIpSchema.statics.record = async function(userUid, ipAddress) {
+  const ip = this.normalizeIp(ipAddress);
+  if (!ip || ip === '0.0.0.0') return;
+
+  const cacheKey = `${userUid}:${ip}`;
+  const lastRecorded = recentlyRecorded.get(cacheKey);
+  if (lastRecorded && Date.now() - lastRecorded < RECORD_THROTTLE_MS) {
+    return;
+  }
+  recentlyRecorded.set(cacheKey, Date.now());
+
+  // Keep the throttle map from growing without bound
+  if (recentlyRecorded.size > 10000) {
+    recentlyRecorded.clear();
+  }
+
+  const now = new Date().toISOString();
+  try {
+    await this.updateOne(
+      { userUid, ipAddress: ip },
+      { $set: { lastSeenAt: now }, $inc: { hits: 1 }, $setOnInsert: { firstSeenAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Concurrent first sighting of the same pair - the other insert won
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Remove sensitive data from JSON output
+userIpSchema.methods.toJSON = function() {
+  const userIpObject = this.toObject();
+  delete userIpObject._id;
+  delete userIpObject.__v;
+  return userIpObject;
+};
+
+const UserIp = mongoose.model('UserIp', userIpSchema);
+
+export default UserIp;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Single-use tokens sent to users by email; only the hash is stored
+const userTokenSchema = new mongoose.Schema({
+  userUid: {
+    type: Number,
+    required: [true, 'User UID is required'],
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: String,
+    required: true
+  },
+  usedAt: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+userTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Issue a new token, invalidating any unused ones for the same purpose
+userTokenSchema.statics.issue = async function(userUid, purpose, ttlMinutes, ipAddress = null) {
+  const now = new Date().toISOString();
+  await this.updateMany(
+    { userUid, purpose, usedAt: null },
+    { $set: { usedAt: now } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const record = new this({
+    userUid,
+    purpose,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString(),
+    ipAddress
+  });
+  await record.save();
+
+  return { token, record };
+};
+
+// Atomically mark a valid token as used; returns null if invalid, expired or already used
+userTokenSchema.statics.consume = function(token, purpose) {
+  const now = new Date().toISOString();
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now }
+    },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+// Remove sensitive data from JSON output
+userTokenSchema.methods.toJSON = function() {
+  const tokenObject = this.toObject();
+  delete tokenObject._id;
+  delete tokenObject.__v;
+  delete tokenObject.tokenHash;
+  return tokenObject;
+};
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+export default UserToken;
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+const warningSchema = new mongoose.Schema({
+  id: {
+    type: Number,
+    unique: true
+  },
+  userUid: {
+    type: Number,
+    required: [true, 'User UID is required'],
+    index: true
+  },
+  issuedBy: {
+    type: Number,
+    required: [true, 'Issuer UID is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Warning reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Warning points are required'],
+    min: [1, 'A warning is worth at least 1 point'],
+    max: [100, 'A warning cannot exceed 100 points']
+  },
+  reportId: {
+    type: Number,
+    default: null // report that led to the warning, if any
+  },
+  createdAt: {
+    type: String,
+    default: () => new Date().toISOString()
+  },
+  expiresAt: {
+    type: String,
+    required: true // points stop counting after this (decay)
+  },
+  // Automatic sanctions this warning triggered
+  sanctions: [{
+    action: { type: String, enum: ['chat_mute', 'posting_restriction', 'temp_ban'] },
+    threshold: Number,
+    expiresAt: String,
+    userRoleId: { type: Number, default: null },
+    banId: { type: Number, default: null }
+  }],
+  revoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedBy: {
+    type: Number,
+    default: null
+  },
+  revokedAt: {
+    type: String,
+    default: null
+  },
+  revokeReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+warningSchema.index({ userUid: 1, revoked: 1, expiresAt: 1 });
+
+// Auto-increment id field
+warningSchema.pre('save', async function(next) {
+  if (this.isNew) {
+    try {
+      const lastWarning = await this.constructor.findOne({}, {}, { sort: { id: -1 } });
+      this.id = lastWarning ? lastWarning.id + 1 : 1;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Check if the warning's points still count
+warningSchema.methods.isActive = function() {
+  return !this.revoked && new Date(this.expiresAt) > new Date();
+};
+
+// Remove sensitive data from JSON output
+warningSchema.methods.toJSON = function() {
+  const warningObject = this.toObject();
+  delete warningObject._id;
+  delete warningObject.__v;
+  warningObject.active = this.isActive();
+  return warningObject;
+};
+
+const Warning = mongoose.model('Warning', warningSchema);
+
+export default Warning;
@@ -3,51 +3,181 @@ import User from '../models/User.js';
 import InvitationCode from '../models/InvitationCode.js';
 import Thread from '../models/Thread.js';
 import Post from '../models/Post.js';
-import { authenticateToken } from '../middleware/auth.js';
+import Category, { CATEGORY_ACCESS_ACTIONS } from '../models/Category.js';
+import Setting from '../models/Setting.js';
+import LoginHistory from '../models/LoginHistory.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import Role from '../models/Role.js';
+import UserRole from '../models/UserRole.js';
+import Report, { REPORT_STATUSES, REPORT_TARGET_TYPES } from '../models/Report.js';
+import Notification from '../models/Notification.js';
+import AuditLog from '../models/AuditLog.js';
+import Ban from '../models/Ban.js';
+import AdminEvent, { EVENT_TYPES } from '../models/AdminEvent.js';
+import EventExecution from '../models/EventExecution.js';
+import Warning from '../models/Warning.js';
+import BanAppeal from '../models/BanAppeal.js';
+import IpBan from '../models/IpBan.js';
+import UserIp from '../models/UserIp.js';
+import {
+  authenticateToken,
+  requireAdmin,
+  requirePermission,
+  requireModerator,
+  getClientIP,
+  TWO_FACTOR_BADGES_SETTING,
+  EMAIL_VERIFICATION_FEATURES,
+  EMAIL_VERIFICATION_SETTING
+} from '../middleware/auth.js';
+import { PERMISSIONS, attachPermissions, invalidatePermissionCache, validateRolePermissions } from '../utils/permissions.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+import { getJobStatuses, runJob } from '../utils/scheduler.js';
+import { issueBan, liftBan, getActiveBan } from '../utils/bans.js';
+import { INVITE_WAVE_EVENT, getBuiltInEvent, validateEventParams, validateTargetFilter, executeEvent } from '../utils/adminEvents.js';
+import {
+  WARNING_POLICY_SETTING,
+  getWarningPolicy,
+  validateWarningPolicy,
+  getActiveWarnings,
+  getActiveSanctions,
+  issueWarning,
+  revokeWarning
+} from '../utils/warnings.js';
+import { parseIpRange, ipInRange, invalidateIpBanCache } from '../utils/ipBans.js';
+import { parseDateRange, buildTimeseries } from '../utils/analytics.js';
+import {
+  MAX_BULK_CODES,
+  MAX_PREFIX_LENGTH,
+  MAX_TREE_DEPTH,
+  INVITER_PENALTY_SETTING,
+  generateInviteCodes,
+  getCampaignStats,
+  codesToCsv,
+  getInviterPenaltyPolicy,
+  validateInviterPenaltyPolicy,
+  penalizeInviter,
+  buildInviteTree
+} from '../utils/invitations.js';
 
 const router = express.Router();
 
-// Middleware to check if user is admin or owner
-const requireAdmin = (req, res, next) => {
-  if (!req.user || (req.user.badge !== 'Owner' && req.user.badge !== 'Admin')) {
-    return res.status(403).json({
+const VALID_BADGES = ['Owner', 'Admin', 'Moderator', 'Support', 'Premium', 'Known', 'Member'];
+
+const requireRoleManager = requirePermission('admin.roles.manage', 'Role management privileges required');
+const requireUserManager = requirePermission('admin.users.manage', 'User management privileges required');
+const requireCodeManager = requirePermission('admin.codes.manage', 'Invitation code privileges required');
+
+const ROLE_FIELDS = ['id', 'slug', 'name', 'description', 'permissions', 'color', 'priority', 'active'];
+const USER_ROLE_FIELDS = ['id', 'userUid', 'roleId', 'assignedBy', 'expiresAt', 'active'];
+
+// Role managers may only change roles (and assignments of roles) whose
+// permissions they hold themselves. Responds with 403 and returns false otherwise.
+const ensureCanManageRole = (req, res, role) => {
+  const permissionError = validateRolePermissions(role.permissions, req.user);
+  if (permissionError) {
+    res.status(403).json({
+      success: false,
+      message: permissionError
+    });
+    return false;
+  }
+  return true;
+};
+
+const requireEventManager = requirePermission('admin.events.manage', 'Event management privileges required');
+
+// Validate the editable fields of an event; returns { fields } or { error }
+const validateEventFields = async (body, type, actor) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (!body.name || !body.name.trim()) {
+      return { error: 'Event name is required' };
+    }
+    fields.name = body.name.trim();
+  }
+  if (body.description !== undefined) {
+    fields.description = body.description || '';
+  }
+
+  if (body.params !== undefined || body.type !== undefined) {
+    const result = await validateEventParams(type, body.params || {}, actor);
+    if (result.error) return result;
+    fields.params = result.params;
+  }
+
+  if (body.targetFilter !== undefined) {
+    const result = validateTargetFilter(body.targetFilter);
+    if (result.error) return result;
+    fields.targetFilter = result.targetFilter;
+  }
+
+  if (body.scheduledFor !== undefined) {
+    if (body.scheduledFor === null) {
+      fields.scheduledFor = null;
+      fields.status = 'draft';
+    } else {
+      const scheduledFor = new Date(body.scheduledFor);
+      if (isNaN(scheduledFor.getTime()) || scheduledFor <= new Date()) {
+        return { error: 'scheduledFor must be a future date' };
+      }
+      fields.scheduledFor = scheduledFor.toISOString();
+      fields.status = 'scheduled';
+    }
+  }
+
+  return { fields };
+};
+
+// Fetch an event by the :id route param, responding with 400/404 when it can't be used
+const loadEvent = async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid event ID'
+    });
+    return null;
+  }
+
+  const event = await AdminEvent.findOne({ id });
+  if (!event) {
+    res.status(404).json({
       success: false,
-      message: 'Admin access required'
+      message: 'Event not found'
     });
+    return null;
   }
-  next();
+
+  return event;
 };
 
 // @route   GET /api/admin/events
-// @desc    Get available admin events
+// @desc    Get admin events with their most recent execution
 // @access  Admin
 router.get('/events', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    // Return available events (hardcoded for now, can be moved to database later)
-    const events = [
-      {
-        id: 1,
-        name: 'Invite Wave',
-        description: 'Give all users an invite that lasts 2 months',
-        type: 'invite_wave',
-        isActive: true,
-        createdAt: new Date().toISOString(),
-        executedAt: null
-      },
-      {
-        id: 2,
-        name: 'Token Bonus',
-        description: 'Give all users bonus Desync$ tokens',
-        type: 'reward_drop',
-        isActive: true,
-        createdAt: new Date().toISOString(),
-        executedAt: null
-      }
-    ];
+    const query = req.query.status ? { status: req.query.status } : { status: { $ne: 'cancelled' } };
+    const events = await AdminEvent.find(query).sort({ createdAt: -1 });
+
+    const lastExecutions = await EventExecution.aggregate([
+      { $match: { eventId: { $in: events.map(event => event.id) } } },
+      { $sort: { id: -1 } },
+      { $group: { _id: '$eventId', execution: { $first: '$$ROOT' } } }
+    ]);
+    const lastByEvent = new Map(lastExecutions.map(item => {
+      const { _id, ...execution } = item.execution;
+      return [item._id, execution];
+    }));
 
     res.json({
       success: true,
-      events
+      events: events.map(event => ({
+        ...event.toJSON(),
+        lastExecution: lastByEvent.get(event.id) || null
+      })),
+      types: EVENT_TYPES
     });
   } catch (error) {
     console.error('Get events error:', error);
@@ -58,54 +188,270 @@ router.get('/events', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// @route   POST /api/admin/events/invite-wave
-// @desc    Execute invite wave event - give all users invites
-// @access  Admin
-router.post('/events/invite-wave', authenticateToken, requireAdmin, async (req, res) => {
+// @route   POST /api/admin/events
+// @desc    Create an event (runs at scheduledFor if given, otherwise on demand)
+// @access  Admin (admin.events.manage)
+router.post('/events', authenticateToken, requireEventManager, async (req, res) => {
   try {
-    // Get all non-banned users
-    const users = await User.find({ banned: false });
-    
-    if (users.length === 0) {
+    const { type } = req.body;
+
+    if (!EVENT_TYPES.includes(type)) {
       return res.status(400).json({
         success: false,
-        message: 'No users found to give invites'
+        message: 'type must be one of ' + EVENT_TYPES.join(', ')
       });
     }
 
-    // Calculate expiry date (2 months from now)
-    const expiryDate = new Date();
-    expiryDate.setMonth(expiryDate.getMonth() + 2);
-    
-    // Add invite to each user's inventory
-    const updatePromises = users.map(user => {
-      // Ensure inventory array exists
-      if (!user.inventory) {
-        user.inventory = [];
+    const { fields, error } = await validateEventFields({ params: {}, ...req.body, name: req.body.name || '' }, type, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const event = new AdminEvent({
+      ...fields,
+      type,
+      createdBy: req.user.uid
+    });
+    await event.save();
+
+    await recordAudit(req, 'event.create', { type: 'event', id: event.id }, {
+      after: snapshot(event, ['name', 'type', 'params', 'targetFilter', 'scheduledFor', 'status'])
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Event created successfully',
+      event
+    });
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating event'
+    });
+  }
+});
+
+// @route   PUT /api/admin/events/:id
+// @desc    Edit an event that hasn't run yet
+// @access  Admin (admin.events.manage)
+router.put('/events/:id', authenticateToken, requireEventManager, async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    if (!event.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only events that have not run yet can be edited'
+      });
+    }
+
+    // Role grants are re-checked against the editor even when the role is unchanged
+    const body = event.type === 'role_grant' && req.body.params === undefined
+      ? { ...req.body, params: event.params }
+      : req.body;
+
+    const { fields, error } = await validateEventFields({ ...body, type: undefined }, event.type, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const before = snapshot(event, ['name', 'description', 'params', 'targetFilter', 'scheduledFor', 'status']);
+
+    // Guard against the scheduler claiming the event while it is edited
+    const updated = await AdminEvent.findOneAndUpdate(
+      { id: event.id, status: event.status },
+      { $set: fields },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Event changed while editing, please try again'
+      });
+    }
+
+    await recordAudit(req, 'event.update', { type: 'event', id: updated.id }, {
+      before,
+      after: snapshot(updated, ['name', 'description', 'params', 'targetFilter', 'scheduledFor', 'status'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Event updated successfully',
+      event: updated
+    });
+  } catch (error) {
+    console.error('Update event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating event'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/events/:id
+// @desc    Cancel an event so it can no longer run
+// @access  Admin (admin.events.manage)
+router.delete('/events/:id', authenticateToken, requireEventManager, async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const cancelled = await AdminEvent.findOneAndUpdate(
+      { id: event.id, status: { $nin: ['running', 'cancelled'] } },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: event.status === 'running' ? 'Event is running and cannot be cancelled' : 'Event is already cancelled'
+      });
+    }
+
+    await recordAudit(req, 'event.cancel', { type: 'event', id: event.id }, {
+      before: { status: event.status },
+      after: { status: 'cancelled' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Event cancelled',
+      event: cancelled
+    });
+  } catch (error) {
+    console.error('Cancel event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling event'
+    });
+  }
+});
+
+// @route   POST /api/admin/events/:id/run
+// @desc    Run an event now; events that already ran need { confirmRerun: true }
+// @access  Admin (admin.events.manage)
+router.post('/events/:id/run', authenticateToken, requireEventManager, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+
+    const result = await executeEvent(id, {
+      triggeredBy: req.user.uid,
+      trigger: 'manual',
+      allowRerun: req.body.confirmRerun === true
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { event, execution } = result;
+
+    await recordAudit(req, 'event.run', { type: 'event', id: event.id }, {
+      metadata: {
+        executionId: execution.id,
+        eventType: event.type,
+        status: execution.status,
+        affectedUsers: execution.affectedUsers,
+        rerun: event.executionCount > 1
       }
-      
-      // Add new invite
-      user.inventory.push({
-        id: Date.now() + Math.random(), // Simple unique ID
-        name: 'Forum Invite',
-        type: 'invite',
-        description: 'Invite a friend to join the forum community',
-        expiresAt: expiryDate.toISOString(),
-        createdAt: new Date().toISOString()
-      });
-      
-      return user.save();
     });
-    
-    await Promise.all(updatePromises);
-    
-    console.log(`✅ Invite wave executed: ${users.length} users received invites`);
-    
+
+    res.json({
+      success: execution.status === 'completed',
+      message: execution.status === 'completed'
+        ? `${event.name} completed for ${execution.affectedUsers} users`
+        : `${event.name} failed: ${execution.error}`,
+      event,
+      execution
+    });
+  } catch (error) {
+    console.error('Run event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running event'
+    });
+  }
+});
+
+// @route   GET /api/admin/events/:id/executions
+// @desc    Get an event's execution history
+// @access  Admin
+router.get('/events/:id/executions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const executions = await EventExecution.find({ eventId: event.id }).sort({ id: -1 }).limit(100);
+
+    res.json({
+      success: true,
+      event,
+      executions
+    });
+  } catch (error) {
+    console.error('Get event executions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching event executions'
+    });
+  }
+});
+
+// @route   POST /api/admin/events/invite-wave
+// @desc    Execute invite wave event - give all users invites (kept for older clients;
+//          runs the built-in invite wave, which needs { confirmRerun: true } to run again)
+// @access  Admin (admin.events.manage)
+router.post('/events/invite-wave', authenticateToken, requireEventManager, async (req, res) => {
+  try {
+    const event = await getBuiltInEvent(INVITE_WAVE_EVENT, req.user.uid);
+
+    const { execution, error, status } = await executeEvent(event.id, {
+      triggeredBy: req.user.uid,
+      allowRerun: req.body.confirmRerun === true
+    });
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await recordAudit(req, 'event.run', { type: 'event', id: event.id }, {
+      metadata: { executionId: execution.id, eventType: event.type, status: execution.status, affectedUsers: execution.affectedUsers, rerun: event.executionCount > 0 }
+    });
+
+    if (execution.affectedUsers === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No users found to give invites'
+      });
+    }
+
     res.json({
       success: true,
-      message: `Successfully gave invites to ${users.length} users`,
-      affectedUsers: users.length,
-      expiresAt: expiryDate.toISOString()
+      message: `Successfully gave invites to ${execution.affectedUsers} users`,
+      affectedUsers: execution.affectedUsers,
+      expiresAt: new Date(new Date(execution.startedAt).getTime() + event.params.itemExpiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+      execution
     });
   } catch (error) {
     console.error('❌ Error executing invite wave:', error);
@@ -129,8 +475,10 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
     const usedCodes = await InvitationCode.countDocuments({ used: true });
     const activeCodes = await InvitationCode.countDocuments({ 
       used: false, 
+      revoked: { $ne: true },
       expiresAt: { $gt: new Date().toISOString() } 
     });
+    const revokedCodes = await InvitationCode.countDocuments({ used: false, revoked: true });
 
     // Get user distribution by badge
     const badgeDistribution = await User.aggregate([
@@ -148,12 +496,36 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
     const totalThreads = await Thread.countDocuments();
     const totalPosts = await Post.countDocuments();
     
-    // Get threads from last 7 days
+    // Get registrations and threads from last 7 days
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const newUsersThisWeek = await User.countDocuments({
+      joinDate: { $gte: sevenDaysAgo }
+    });
     const newThreadsThisWeek = await Thread.countDocuments({
       createdAt: { $gte: sevenDaysAgo }
     });
 
+    const pendingReports = await Report.countDocuments({ status: 'pending' });
+    const claimedReports = await Report.countDocuments({ status: 'claimed' });
+
+    // Country breakdowns (users without a resolved country are counted as 'unknown')
+    const countByCountry = async (field, match) => {
+      const rows = await User.aggregate([
+        { $match: match },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]);
+      return rows.reduce((acc, item) => {
+        acc[item._id || 'unknown'] = item.count;
+        return acc;
+      }, {});
+    };
+    const [registrationsByCountry, activeByCountry, bannedByCountry] = await Promise.all([
+      countByCountry('registrationCountry', { joinDate: { $gte: thirtyDaysAgo } }),
+      countByCountry('country', { banned: false, lastSeen: { $gte: thirtyDaysAgo } }),
+      countByCountry('country', { banned: true })
+    ]);
+
     res.json({
       success: true,
       stats: {
@@ -162,7 +534,7 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
           active: activeUsers,
           banned: bannedUsers,
           recentRegistrations,
-          newThisWeek: recentRegistrations
+          newThisWeek: newUsersThisWeek
         },
         content: {
           threads: totalThreads,
@@ -173,16 +545,22 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
           total: totalCodes,
           used: usedCodes,
           active: activeCodes,
-          expired: totalCodes - usedCodes - activeCodes
+          revoked: revokedCodes,
+          expired: totalCodes - usedCodes - activeCodes - revokedCodes
         },
         reports: {
-          pending: 0 // TODO: Implement reports system
+          pending: pendingReports,
+          claimed: claimedReports
         },
         badgeDistribution: badgeDistribution.reduce((acc, item) => {
           acc[item._id] = item.count;
           return acc;
         }, {}),
-        bannedByCountry: {} // TODO: Implement country tracking
+        countries: {
+          registrations: registrationsByCountry,
+          active: activeByCountry
+        },
+        bannedByCountry
       }
     });
   } catch (error) {
@@ -194,6 +572,39 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/stats/timeseries
+// @desc    Daily activity, token and revenue figures for a date range
+// @access  Admin
+router.get('/stats/timeseries', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const { range, error } = parseDateRange(from, to);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const series = await buildTimeseries(range);
+
+    res.json({
+      success: true,
+      from: range.days[0],
+      to: range.days[range.days.length - 1],
+      days: range.days.length,
+      series
+    });
+  } catch (error) {
+    console.error('Get stats timeseries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching statistics'
+    });
+  }
+});
+
 // @route   GET /api/admin/users
 // @desc    Get all users including banned ones (admin view)
 // @access  Admin
@@ -236,9 +647,26 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
     const total = await User.countDocuments(query);
     const totalPages = Math.ceil(total / limit);
 
+    // Active warning points per listed user
+    const warningTotals = await Warning.aggregate([
+      {
+        $match: {
+          userUid: { $in: users.map(u => u.uid) },
+          revoked: false,
+          expiresAt: { $gt: new Date().toISOString() }
+        }
+      },
+      { $group: { _id: '$userUid', points: { $sum: '$points' }, count: { $sum: 1 } } }
+    ]);
+    const warningsByUser = new Map(warningTotals.map(w => [w._id, w]));
+
     res.json({
       success: true,
-      users: users.map(u => u.toJSON()),
+      users: users.map(u => ({
+        ...u.toJSON(),
+        warningPoints: warningsByUser.get(u.uid)?.points || 0,
+        activeWarnings: warningsByUser.get(u.uid)?.count || 0
+      })),
       pagination: {
         currentPage: page,
         totalPages,
@@ -256,15 +684,50 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// Parse the maxUses / expiry / campaign options shared by single and bulk generation
+const parseCodeOptions = (body) => {
+  const maxUses = body.maxUses === undefined ? 1 : parseInt(body.maxUses);
+  if (isNaN(maxUses) || maxUses < 1 || maxUses > 10000) {
+    return { error: 'maxUses must be between 1 and 10000' };
+  }
+
+  let expiresAt;
+  if (body.expiresAt) {
+    const expiry = new Date(body.expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return { error: 'expiresAt must be a future date' };
+    }
+    expiresAt = expiry.toISOString();
+  } else {
+    const expiresInDays = body.expiresInDays === undefined ? 30 : parseFloat(body.expiresInDays);
+    if (isNaN(expiresInDays) || expiresInDays <= 0) {
+      return { error: 'expiresInDays must be a positive number' };
+    }
+    expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const campaign = body.campaign ? String(body.campaign).trim().substring(0, 50) : null;
+
+  return { options: { maxUses, expiresAt, campaign: campaign || null } };
+};
+
 // @route   POST /api/admin/codes/generate
 // @desc    Generate new invitation code
-// @access  Admin
-router.post('/codes/generate', authenticateToken, requireAdmin, async (req, res) => {
+// @access  Admin (admin.codes.manage)
+router.post('/codes/generate', authenticateToken, requireCodeManager, async (req, res) => {
   try {
-    const { expiresAt, customCode } = req.body;
+    const { customCode } = req.body;
+
+    const { options, error } = parseCodeOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
 
     // Generate random code if no custom code provided
-    const code = customCode || Math.random().toString(36).substring(2, 10).toUpperCase();
+    const code = customCode ? String(customCode).trim().toUpperCase() : InvitationCode.generateCode(8);
 
     // Check if code already exists
     const existingCode = await InvitationCode.findOne({ code });
@@ -280,12 +743,16 @@ router.post('/codes/generate', authenticateToken, requireAdmin, async (req, res)
       code,
       createdBy: req.user.uid,
       createdAt: new Date().toISOString(),
-      expiresAt: expiresAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days default
+      ...options,
       used: false
     });
 
     await inviteCode.save();
 
+    await recordAudit(req, 'code.generate', { type: 'invitation_code', id: inviteCode.code }, {
+      after: snapshot(inviteCode, ['code', 'expiresAt', 'maxUses', 'campaign'])
+    });
+
     res.json({
       success: true,
       message: 'Invitation code generated successfully',
@@ -300,64 +767,268 @@ router.post('/codes/generate', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
-// @route   GET /api/admin/codes
-// @desc    Get all invitation codes
-// @access  Admin
-router.get('/codes', authenticateToken, requireAdmin, async (req, res) => {
+// @route   POST /api/admin/codes/bulk
+// @desc    Generate a batch of invitation codes, optionally under a campaign
+// @access  Admin (admin.codes.manage)
+router.post('/codes/bulk', authenticateToken, requireCodeManager, async (req, res) => {
   try {
-    const codes = await InvitationCode.find()
-      .sort({ createdAt: -1 })
-      .limit(100);
+    const count = parseInt(req.body.count);
+    if (isNaN(count) || count < 1 || count > MAX_BULK_CODES) {
+      return res.status(400).json({
+        success: false,
+        message: `count must be between 1 and ${MAX_BULK_CODES}`
+      });
+    }
 
-    res.json({
-      success: true,
-      codes
-    });
-  } catch (error) {
-    console.error('Get invites error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching invitation codes'
-    });
-  }
-});
+    const prefix = req.body.prefix ? String(req.body.prefix).trim().toUpperCase() : '';
+    if (prefix.length > MAX_PREFIX_LENGTH || !/^[A-Z0-9-]*$/.test(prefix)) {
+      return res.status(400).json({
+        success: false,
+        message: `prefix can be up to ${MAX_PREFIX_LENGTH} letters, digits or dashes`
+      });
+    }
 
-// @route   DELETE /api/admin/codes/:code
-// @desc    Delete an invitation code
-// @access  Admin
-router.delete('/codes/:code', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { code } = req.params;
-    
-    const inviteCode = await InvitationCode.findOneAndDelete({ code });
-    
-    if (!inviteCode) {
-      return res.status(404).json({
+    const { options, error } = parseCodeOptions(req.body);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Invitation code not found'
+        message: error
       });
     }
 
-    res.json({
+    const codes = await generateInviteCodes({ count, prefix, ...options, createdBy: req.user.uid });
+
+    await recordAudit(req, 'code.bulk_generate', { type: 'invitation_code', id: options.campaign }, {
+      metadata: { count: codes.length, prefix, ...options }
+    });
+
+    res.status(201).json({
       success: true,
-      message: 'Invitation code deleted successfully'
+      message: `${codes.length} invitation codes generated successfully`,
+      codes
     });
   } catch (error) {
-    console.error('Delete invite error:', error);
+    console.error('Bulk generate invites error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting invitation code'
+      message: 'Server error while generating invitation codes'
     });
   }
 });
 
-// @route   POST /api/admin/users/:uid/ban
-// @desc    Ban a user
+// Build an InvitationCode query from ?campaign=&status=&search=
+const buildCodeQuery = ({ campaign, status, search }) => {
+  const query = {};
+  const now = new Date().toISOString();
+
+  if (campaign) {
+    query.campaign = campaign;
+  }
+  if (search) {
+    query.code = { $regex: '^' + String(search).toUpperCase().replace(/[^A-Z0-9-]/g, '') };
+  }
+
+  switch (status) {
+    case 'active':
+      Object.assign(query, { used: false, revoked: { $ne: true }, expiresAt: { $gt: now } });
+      break;
+    case 'used':
+      query.used = true;
+      break;
+    case 'expired':
+      Object.assign(query, { used: false, revoked: { $ne: true }, expiresAt: { $lte: now } });
+      break;
+    case 'revoked':
+      query.revoked = true;
+      break;
+  }
+
+  return query;
+};
+
+// @route   GET /api/admin/codes
+// @desc    Get invitation codes (paginated, filter by campaign, status or code prefix)
+// @access  Admin
+router.get('/codes', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const skip = (page - 1) * limit;
+
+    const query = buildCodeQuery(req.query);
+
+    const [codes, total] = await Promise.all([
+      InvitationCode.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      InvitationCode.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      codes,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation codes'
+    });
+  }
+});
+
+// @route   GET /api/admin/codes/export
+// @desc    Download invitation codes as CSV (same filters as GET /codes)
+// @access  Admin
+router.get('/codes/export', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const codes = await InvitationCode.find(buildCodeQuery(req.query)).sort({ createdAt: -1 });
+
+    const filename = `invitation-codes${req.query.campaign ? '-' + req.query.campaign.replace(/[^A-Za-z0-9_-]/g, '_') : ''}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(codesToCsv(codes));
+  } catch (error) {
+    console.error('Export invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting invitation codes'
+    });
+  }
+});
+
+// @route   GET /api/admin/codes/campaigns
+// @desc    Redemption and invitee stats for every campaign
+// @access  Admin
+router.get('/codes/campaigns', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const campaigns = await getCampaignStats();
+
+    res.json({
+      success: true,
+      campaigns
+    });
+  } catch (error) {
+    console.error('Get invite campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invite campaigns'
+    });
+  }
+});
+
+// @route   GET /api/admin/codes/campaigns/:campaign
+// @desc    Redemption and invitee stats for one campaign
 // @access  Admin
-router.post('/users/:uid/ban', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/codes/campaigns/:campaign', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [campaign] = await getCampaignStats(req.params.campaign);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      campaign
+    });
+  } catch (error) {
+    console.error('Get invite campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invite campaign'
+    });
+  }
+});
+
+// @route   POST /api/admin/codes/campaigns/:campaign/revoke
+// @desc    Revoke every unused code in a campaign
+// @access  Admin (admin.codes.manage)
+router.post('/codes/campaigns/:campaign/revoke', authenticateToken, requireCodeManager, async (req, res) => {
+  try {
+    const { campaign } = req.params;
+
+    const exists = await InvitationCode.exists({ campaign });
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const result = await InvitationCode.updateMany(
+      { campaign, used: false, revoked: { $ne: true } },
+      { $set: { revoked: true, revokedBy: req.user.uid, revokedAt: new Date().toISOString() } }
+    );
+
+    await recordAudit(req, 'code.campaign_revoke', { type: 'invitation_code', id: campaign }, {
+      metadata: { revoked: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} invitation codes revoked`,
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke invite campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invite campaign'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/codes/:code
+// @desc    Delete an invitation code
+// @access  Admin (admin.codes.manage)
+router.delete('/codes/:code', authenticateToken, requireCodeManager, async (req, res) => {
+  try {
+    const { code } = req.params;
+    
+    const inviteCode = await InvitationCode.findOneAndDelete({ code });
+    
+    if (!inviteCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation code not found'
+      });
+    }
+
+    await recordAudit(req, 'code.delete', { type: 'invitation_code', id: inviteCode.code }, {
+      before: snapshot(inviteCode, ['code', 'createdBy', 'expiresAt', 'used', 'currentUses', 'maxUses'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation code deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting invitation code'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:uid/ban
+// @desc    Ban a user, permanently or for durationHours / until expiresAt
+// @access  Admin (admin.users.manage)
+router.post('/users/:uid/ban', authenticateToken, requireUserManager, async (req, res) => {
   try {
     const uid = parseInt(req.params.uid);
-    const { reason } = req.body;
+    const { reason, durationHours, expiresAt } = req.body;
     
     if (isNaN(uid)) {
       return res.status(400).json({
@@ -398,15 +1069,59 @@ router.post('/users/:uid/ban', authenticateToken, requireAdmin, async (req, res)
       });
     }
 
-    user.banned = true;
-    user.banReason = reason;
-    user.bannedAt = new Date().toISOString();
-    await user.save();
+    let banExpiresAt = null;
+    if (durationHours !== undefined && durationHours !== null) {
+      const hours = parseFloat(durationHours);
+      if (isNaN(hours) || hours <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'durationHours must be a positive number'
+        });
+      }
+      banExpiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    } else if (expiresAt) {
+      const parsed = new Date(expiresAt);
+      if (isNaN(parsed.getTime()) || parsed <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a future date'
+        });
+      }
+      banExpiresAt = parsed.toISOString();
+    }
+
+    const before = snapshot(user, ['banned', 'banReason', 'bannedAt', 'banExpiresAt']);
+    const ban = await issueBan(user, {
+      reason: reason.trim(),
+      bannedBy: req.user.uid,
+      expiresAt: banExpiresAt
+    });
+
+    await recordAudit(req, 'user.ban', { type: 'user', id: user.uid }, {
+      before,
+      after: snapshot(user, ['banned', 'banReason', 'bannedAt', 'bannedBy', 'banExpiresAt']),
+      metadata: { banId: ban.id }
+    });
+
+    // Optionally hold the inviter accountable as well
+    let inviterPenalty = null;
+    if (req.body.penalizeInviter) {
+      inviterPenalty = await penalizeInviter(user, { ban, issuedBy: req.user.uid });
+      if (!inviterPenalty.error) {
+        await recordAudit(req, 'user.inviter_penalty', { type: 'user', id: inviterPenalty.inviterUid }, {
+          metadata: { inviteeUid: user.uid, banId: ban.id, ...inviterPenalty }
+        });
+      }
+    }
 
     res.json({
       success: true,
-      message: `User ${user.username} has been banned`,
-      user: user.toJSON()
+      message: banExpiresAt
+        ? `User ${user.username} has been banned until ${banExpiresAt}`
+        : `User ${user.username} has been banned permanently`,
+      user: user.toJSON(),
+      ban,
+      inviterPenalty
     });
   } catch (error) {
     console.error('Ban user error:', error);
@@ -419,8 +1134,8 @@ router.post('/users/:uid/ban', authenticateToken, requireAdmin, async (req, res)
 
 // @route   POST /api/admin/users/:uid/unban
 // @desc    Unban a user
-// @access  Admin
-router.post('/users/:uid/unban', authenticateToken, requireAdmin, async (req, res) => {
+// @access  Admin (admin.users.manage)
+router.post('/users/:uid/unban', authenticateToken, requireUserManager, async (req, res) => {
   try {
     const uid = parseInt(req.params.uid);
     
@@ -447,10 +1162,14 @@ router.post('/users/:uid/unban', authenticateToken, requireAdmin, async (req, re
       });
     }
 
-    user.banned = false;
-    user.banReason = undefined;
-    user.bannedAt = undefined;
-    await user.save();
+    const before = snapshot(user, ['banned', 'banReason', 'bannedAt', 'bannedBy', 'banExpiresAt']);
+    const ban = await liftBan(user, { liftedBy: req.user.uid, reason: 'unbanned' });
+
+    await recordAudit(req, 'user.unban', { type: 'user', id: user.uid }, {
+      before,
+      after: { banned: false },
+      metadata: { banId: ban ? ban.id : null }
+    });
 
     res.json({
       success: true,
@@ -466,17 +1185,90 @@ router.post('/users/:uid/unban', authenticateToken, requireAdmin, async (req, re
   }
 });
 
+const requireReportManager = requirePermission('reports.manage', 'Report management privileges required');
+
+// Fetch a report by the :id route param, responding with 400/404 when it can't be used
+const loadReport = async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid report ID'
+    });
+    return null;
+  }
+
+  const report = await Report.findOne({ id });
+  if (!report) {
+    res.status(404).json({
+      success: false,
+      message: 'Report not found'
+    });
+    return null;
+  }
+
+  return report;
+};
+
 // @route   GET /api/admin/reports
-// @desc    Get all reports (placeholder - to be implemented)
-// @access  Admin
-router.get('/reports', authenticateToken, requireAdmin, async (req, res) => {
+// @desc    Get reports (open ones by default) with reporter and target usernames
+// @access  Moderator (reports.manage)
+router.get('/reports', authenticateToken, requireReportManager, async (req, res) => {
   try {
-    // TODO: Implement proper reports system with Report model
-    // For now, return empty array to prevent frontend errors
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const skip = (page - 1) * limit;
+    const { status, targetType } = req.query;
+
+    const query = {};
+    if (status === 'open' || !status) {
+      query.status = { $in: ['pending', 'claimed'] };
+    } else if (REPORT_STATUSES.includes(status)) {
+      query.status = status;
+    }
+    if (REPORT_TARGET_TYPES.includes(targetType)) {
+      query.targetType = targetType;
+    }
+    if (req.query.targetUserUid) {
+      query.targetUserUid = parseInt(req.query.targetUserUid);
+    }
+    if (req.query.claimedBy) {
+      query.claimedBy = req.query.claimedBy === 'me' ? req.user.uid : parseInt(req.query.claimedBy);
+    }
+
+    const reports = await Report.find(query)
+      .sort({ createdAt: status === 'open' || !status ? 1 : -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Report.countDocuments(query);
+
+    const uids = new Set();
+    reports.forEach(report => {
+      [report.reportedBy, report.targetUserUid, report.claimedBy, report.reviewedBy]
+        .filter(uid => uid !== null && uid !== undefined)
+        .forEach(uid => uids.add(uid));
+    });
+    const users = await User.find({ uid: { $in: [...uids] } }).select('uid username');
+    const usernames = new Map(users.map(user => [user.uid, user.username]));
+
     res.json({
       success: true,
-      reports: [],
-      message: 'Reports system coming soon'
+      reports: reports.map(report => ({
+        ...report.toJSON(),
+        reportedByUsername: usernames.get(report.reportedBy) || null,
+        targetUsername: usernames.get(report.targetUserUid) || null,
+        claimedByUsername: usernames.get(report.claimedBy) || null,
+        reviewedByUsername: usernames.get(report.reviewedBy) || null
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
     });
   } catch (error) {
     console.error('Get reports error:', error);
@@ -487,10 +1279,150 @@ router.get('/reports', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/reports/:id
+// @desc    Get a report along with other reports against the same target
+// @access  Moderator (reports.manage)
+router.get('/reports/:id', authenticateToken, requireReportManager, async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    const relatedReports = await Report.find({
+      targetType: report.targetType,
+      targetId: report.targetId,
+      id: { $ne: report.id }
+    }).sort({ createdAt: -1 }).limit(50);
+
+    res.json({
+      success: true,
+      report,
+      relatedReports
+    });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching report'
+    });
+  }
+});
+
+// @route   POST /api/admin/reports/:id/claim
+// @desc    Claim a pending report so other moderators know it is being handled
+// @access  Moderator (reports.manage)
+router.post('/reports/:id/claim', authenticateToken, requireReportManager, async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    // Atomic so two moderators can't claim the same report
+    const claimed = await Report.findOneAndUpdate(
+      { id: report.id, status: 'pending' },
+      { $set: { status: 'claimed', claimedBy: req.user.uid, claimedAt: new Date().toISOString() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: report.status === 'claimed' ? 'Report has already been claimed' : 'Report is already closed'
+      });
+    }
+
+    await recordAudit(req, 'report.claim', { type: 'report', id: claimed.id }, {
+      before: { status: report.status },
+      after: { status: claimed.status, claimedBy: claimed.claimedBy }
+    });
+
+    res.json({
+      success: true,
+      message: 'Report claimed',
+      report: claimed
+    });
+  } catch (error) {
+    console.error('Claim report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while claiming report'
+    });
+  }
+});
+
+// Shared handler for resolving and dismissing a report
+const closeReport = (status) => async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    if (!report.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Report is already closed'
+      });
+    }
+
+    if (report.status === 'claimed' && report.claimedBy !== req.user.uid && !req.user.hasPermission('admin.access')) {
+      return res.status(403).json({
+        success: false,
+        message: 'This report is claimed by another moderator'
+      });
+    }
+
+    const { actionNote } = req.body;
+    if (status === 'resolved' && (!actionNote || !actionNote.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'An action note is required to resolve a report'
+      });
+    }
+
+    const before = snapshot(report, ['status', 'claimedBy']);
+    await report.close(status, req.user.uid, actionNote ? actionNote.trim() : null);
+
+    await recordAudit(req, `report.${status === 'resolved' ? 'resolve' : 'dismiss'}`, { type: 'report', id: report.id }, {
+      before,
+      after: snapshot(report, ['status', 'reviewedBy', 'actionNote'])
+    });
+
+    await Notification.createNotification(
+      report.reportedBy,
+      'system',
+      status === 'resolved' ? 'Your report was actioned' : 'Your report was reviewed',
+      status === 'resolved'
+        ? 'Thanks for your report. A moderator reviewed it and took action.'
+        : 'Thanks for your report. A moderator reviewed it and found no rule violation.',
+      { reportId: report.id, targetType: report.targetType, targetId: report.targetId },
+      report.id
+    );
+
+    res.json({
+      success: true,
+      message: `Report ${status}`,
+      report
+    });
+  } catch (error) {
+    console.error(`Close report (${status}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating report'
+    });
+  }
+};
+
+// @route   POST /api/admin/reports/:id/resolve
+// @desc    Resolve a report with a note describing the action taken
+// @access  Moderator (reports.manage)
+router.post('/reports/:id/resolve', authenticateToken, requireReportManager, closeReport('resolved'));
+
+// @route   POST /api/admin/reports/:id/dismiss
+// @desc    Dismiss a report, optionally with a note
+// @access  Moderator (reports.manage)
+router.post('/reports/:id/dismiss', authenticateToken, requireReportManager, closeReport('dismissed'));
+
 // @route   PUT /api/admin/users/:uid/rank
 // @desc    Change user rank/badge
-// @access  Admin
-router.put('/users/:uid/rank', authenticateToken, requireAdmin, async (req, res) => {
+// @access  Admin (admin.users.manage)
+router.put('/users/:uid/rank', authenticateToken, requireUserManager, async (req, res) => {
   try {
     const uid = parseInt(req.params.uid);
     const { badge } = req.body;
@@ -502,11 +1434,10 @@ router.put('/users/:uid/rank', authenticateToken, requireAdmin, async (req, res)
       });
     }
 
-    const validBadges = ['Owner', 'Admin', 'Moderator', 'Support', 'Premium', 'Known', 'Member'];
-    if (!badge || !validBadges.includes(badge)) {
+    if (!badge || !VALID_BADGES.includes(badge)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid badge. Valid badges: ' + validBadges.join(', ')
+        message: 'Invalid badge. Valid badges: ' + VALID_BADGES.join(', ')
       });
     }
 
@@ -546,6 +1477,11 @@ router.put('/users/:uid/rank', authenticateToken, requireAdmin, async (req, res)
     user.badge = badge;
     await user.save();
 
+    await recordAudit(req, 'user.rank_change', { type: 'user', id: user.uid }, {
+      before: { badge: oldBadge },
+      after: { badge }
+    });
+
     res.json({
       success: true,
       message: `User ${user.username} rank changed from ${oldBadge} to ${badge}`,
@@ -560,4 +1496,2260 @@ router.put('/users/:uid/rank', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
+// @route   GET /api/admin/security/2fa
+// @desc    Get badges that must have 2FA enabled to use staff routes
+// @access  Admin
+router.get('/security/2fa', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const requiredBadges = await Setting.getValue(TWO_FACTOR_BADGES_SETTING, []);
+
+    res.json({
+      success: true,
+      requiredBadges
+    });
+  } catch (error) {
+    console.error('Get 2FA settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching 2FA settings'
+    });
+  }
+});
+
+// @route   PUT /api/admin/security/2fa
+// @desc    Set badges that must have 2FA enabled to use staff routes
+// @access  Admin (admin.settings.manage)
+router.put('/security/2fa', authenticateToken, requirePermission('admin.settings.manage', 'Settings privileges required'), async (req, res) => {
+  try {
+    const { requiredBadges } = req.body;
+
+    if (!Array.isArray(requiredBadges) || requiredBadges.some(badge => !VALID_BADGES.includes(badge))) {
+      return res.status(400).json({
+        success: false,
+        message: 'requiredBadges must be a list of valid badges: ' + VALID_BADGES.join(', ')
+      });
+    }
+
+    // Don't lock the caller out of the endpoint they would need to undo this
+    if (requiredBadges.includes(req.user.badge) && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it for your badge'
+      });
+    }
+
+    const uniqueBadges = [...new Set(requiredBadges)];
+    const previousBadges = await Setting.getValue(TWO_FACTOR_BADGES_SETTING, []);
+    await Setting.setValue(TWO_FACTOR_BADGES_SETTING, uniqueBadges, req.user.uid);
+
+    await recordAudit(req, 'setting.update', { type: 'setting', id: TWO_FACTOR_BADGES_SETTING }, {
+      before: { value: previousBadges },
+      after: { value: uniqueBadges }
+    });
+
+    res.json({
+      success: true,
+      message: '2FA requirements updated',
+      requiredBadges: uniqueBadges
+    });
+  } catch (error) {
+    console.error('Update 2FA settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating 2FA settings'
+    });
+  }
+});
+
+// @route   GET /api/admin/security/email-verification
+// @desc    Get features that require a verified email
+// @access  Admin
+router.get('/security/email-verification', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const requiredFor = await Setting.getValue(EMAIL_VERIFICATION_SETTING, []);
+
+    res.json({
+      success: true,
+      requiredFor,
+      availableFeatures: EMAIL_VERIFICATION_FEATURES
+    });
+  } catch (error) {
+    console.error('Get email verification settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching email verification settings'
+    });
+  }
+});
+
+// @route   PUT /api/admin/security/email-verification
+// @desc    Set features that require a verified email
+// @access  Admin (admin.settings.manage)
+router.put('/security/email-verification', authenticateToken, requirePermission('admin.settings.manage', 'Settings privileges required'), async (req, res) => {
+  try {
+    const { requiredFor } = req.body;
+
+    if (!Array.isArray(requiredFor) || requiredFor.some(feature => !EMAIL_VERIFICATION_FEATURES.includes(feature))) {
+      return res.status(400).json({
+        success: false,
+        message: 'requiredFor must be a list of features: ' + EMAIL_VERIFICATION_FEATURES.join(', ')
+      });
+    }
+
+    const uniqueFeatures = [...new Set(requiredFor)];
+    const previousFeatures = await Setting.getValue(EMAIL_VERIFICATION_SETTING, []);
+    await Setting.setValue(EMAIL_VERIFICATION_SETTING, uniqueFeatures, req.user.uid);
+
+    await recordAudit(req, 'setting.update', { type: 'setting', id: EMAIL_VERIFICATION_SETTING }, {
+      before: { value: previousFeatures },
+      after: { value: uniqueFeatures }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email verification requirements updated',
+      requiredFor: uniqueFeatures
+    });
+  } catch (error) {
+    console.error('Update email verification settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating email verification settings'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:uid/verify-email
+// @desc    Manually mark a user's email as verified
+// @access  Admin
+router.post('/users/:uid/verify-email', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+
+    if (isNaN(uid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findOne({ uid });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.emailVerified) {
+      await user.markEmailVerified();
+
+      await recordAudit(req, 'user.verify_email', { type: 'user', id: user.uid }, {
+        before: { emailVerified: false },
+        after: { emailVerified: true }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Email for ${user.username} marked as verified`,
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Verify user email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:uid/logins
+// @desc    Get a user's login attempts
+// @access  Admin
+router.get('/users/:uid/logins', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    if (isNaN(uid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const query = { userUid: uid };
+    if (req.query.success !== undefined) {
+      query.success = req.query.success === 'true';
+    }
+
+    const entries = await LoginHistory.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await LoginHistory.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      logins: entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get user logins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching login history'
+    });
+  }
+});
+
+// @route   GET /api/admin/lockouts
+// @desc    Get active login lockouts (?all=true includes accounts/IPs with recent failures)
+// @access  Admin
+router.get('/lockouts', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const query = req.query.all === 'true'
+      ? { $or: [{ failures: { $gt: 0 } }, { lockedUntil: { $gt: new Date().toISOString() } }] }
+      : { lockedUntil: { $gt: new Date().toISOString() } };
+
+    if (req.query.scope) {
+      query.scope = req.query.scope;
+    }
+
+    const lockouts = await LoginThrottle.find(query)
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
+      .limit(200);
+
+    // Attach usernames for account lockouts
+    const userUids = lockouts.filter(l => l.userUid).map(l => l.userUid);
+    const users = await User.find({ uid: { $in: userUids } }).select('uid username');
+    const usernames = new Map(users.map(u => [u.uid, u.username]));
+
+    res.json({
+      success: true,
+      lockouts: lockouts.map(lockout => ({
+        ...lockout.toJSON(),
+        username: lockout.userUid ? usernames.get(lockout.userUid) || null : null,
+        retryAfter: lockout.getRetryAfter()
+      }))
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching lockouts'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/lockouts/:id
+// @desc    Clear a lockout and its failure counters
+// @access  Admin
+router.delete('/lockouts/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lockout ID'
+      });
+    }
+
+    const lockout = await LoginThrottle.findOne({ id });
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+
+    const before = snapshot(lockout, ['key', 'failures', 'lockedUntil', 'lockouts']);
+    await lockout.clear();
+
+    await recordAudit(req, 'lockout.clear', { type: 'lockout', id: lockout.key }, {
+      before,
+      after: snapshot(lockout, ['key', 'failures', 'lockedUntil', 'lockouts'])
+    });
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared',
+      lockout: lockout.toJSON()
+    });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing lockout'
+    });
+  }
+});
+
+// @route   GET /api/admin/permissions
+// @desc    Get the permission catalogue
+// @access  Admin
+router.get('/permissions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching permissions'
+    });
+  }
+});
+
+// @route   GET /api/admin/roles
+// @desc    Get all roles with their active assignment counts
+// @access  Admin (admin.roles.manage)
+router.get('/roles', authenticateToken, requireRoleManager, async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { active: true };
+    const roles = await Role.find(query).sort({ priority: -1, name: 1 });
+
+    const counts = await UserRole.aggregate([
+      { $match: { active: true } },
+      { $group: { _id: '$roleId', count: { $sum: 1 } } }
+    ]);
+    const countByRole = new Map(counts.map(c => [c._id, c.count]));
+
+    res.json({
+      success: true,
+      roles: roles.map(role => ({
+        ...role.toJSON(),
+        activeAssignments: countByRole.get(role.id) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching roles'
+    });
+  }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a role
+// @access  Admin (admin.roles.manage)
+router.post('/roles', authenticateToken, requireRoleManager, async (req, res) => {
+  try {
+    const { name, slug, description, permissions = [], color, priority } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name is required'
+      });
+    }
+
+    const permissionError = validateRolePermissions(permissions, req.user);
+    if (permissionError) {
+      return res.status(400).json({
+        success: false,
+        message: permissionError
+      });
+    }
+
+    const roleSlug = (slug || name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const existingRole = await Role.findOne({ $or: [{ slug: roleSlug }, { name: name.trim() }] });
+    if (existingRole) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with that name or slug already exists'
+      });
+    }
+
+    const role = new Role({
+      slug: roleSlug,
+      name: name.trim(),
+      description: description || '',
+      permissions,
+      color: color || undefined,
+      priority: priority !== undefined ? parseInt(priority) || 0 : 0
+    });
+    await role.save();
+
+    await recordAudit(req, 'role.create', { type: 'role', id: role.id }, {
+      after: snapshot(role, ROLE_FIELDS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating role'
+    });
+  }
+});
+
+// @route   PUT /api/admin/roles/:id
+// @desc    Edit a role's details, permissions, colour or priority
+// @access  Admin (admin.roles.manage)
+router.put('/roles/:id', authenticateToken, requireRoleManager, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role ID'
+      });
+    }
+
+    const role = await Role.findOne({ id });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (!ensureCanManageRole(req, res, role)) return;
+
+    const { name, description, permissions, color, priority, active } = req.body;
+
+    if (permissions !== undefined) {
+      const permissionError = validateRolePermissions(permissions, req.user);
+      if (permissionError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionError
+        });
+      }
+    }
+
+    const before = snapshot(role, ROLE_FIELDS);
+
+    if (name !== undefined) role.name = name.trim();
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    if (color !== undefined) role.color = color;
+    if (priority !== undefined) role.priority = parseInt(priority) || 0;
+    if (active !== undefined) role.active = Boolean(active);
+
+    await role.save();
+    invalidatePermissionCache();
+
+    await recordAudit(req, 'role.update', { type: 'role', id: role.id }, {
+      before,
+      after: snapshot(role, ROLE_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with that name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating role'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/roles/:id
+// @desc    Deactivate a role (assignments stop granting permissions)
+// @access  Admin (admin.roles.manage)
+router.delete('/roles/:id', authenticateToken, requireRoleManager, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role ID'
+      });
+    }
+
+    const role = await Role.findOne({ id });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (!role.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is already inactive'
+      });
+    }
+
+    if (!ensureCanManageRole(req, res, role)) return;
+
+    role.active = false;
+    await role.save();
+    invalidatePermissionCache();
+
+    await recordAudit(req, 'role.deactivate', { type: 'role', id: role.id }, {
+      before: { active: true },
+      after: { active: false }
+    });
+
+    res.json({
+      success: true,
+      message: `Role ${role.name} has been deactivated`,
+      role
+    });
+  } catch (error) {
+    console.error('Deactivate role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating role'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:uid/roles
+// @desc    Get a user's role assignments (including expired and revoked ones)
+// @access  Admin (admin.roles.manage)
+router.get('/users/:uid/roles', authenticateToken, requireRoleManager, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+
+    if (isNaN(uid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const userRoles = await UserRole.find({ userUid: uid }).sort({ assignedAt: -1 });
+    const roles = await Role.find({ id: { $in: userRoles.map(ur => ur.roleId) } });
+    const rolesById = new Map(roles.map(role => [role.id, role]));
+
+    res.json({
+      success: true,
+      roles: userRoles.map(userRole => ({
+        ...userRole.toJSON(),
+        valid: userRole.isValid(),
+        expired: userRole.isExpired(),
+        role: rolesById.get(userRole.roleId) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user roles'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:uid/roles
+// @desc    Grant a role to a user, optionally expiring (expiresAt or durationDays)
+// @access  Admin (admin.roles.manage)
+router.post('/users/:uid/roles', authenticateToken, requireRoleManager, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+    const { roleId, expiresAt, durationDays } = req.body;
+
+    if (isNaN(uid) || !roleId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid user ID and role ID are required'
+      });
+    }
+
+    const user = await User.findOne({ uid });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const role = await Role.findOne({ id: parseInt(roleId), active: true });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (!ensureCanManageRole(req, res, role)) return;
+
+    let expiry = null;
+    if (durationDays !== undefined && durationDays !== null && durationDays !== '') {
+      const days = Number(durationDays);
+      if (!Number.isFinite(days) || days <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'durationDays must be a positive number'
+        });
+      }
+      expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    } else if (expiresAt) {
+      const parsed = new Date(expiresAt);
+      if (isNaN(parsed.getTime()) || parsed <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a future date'
+        });
+      }
+      expiry = parsed.toISOString();
+    }
+
+    const userRole = new UserRole({
+      userUid: uid,
+      roleId: role.id,
+      assignedBy: req.user.uid,
+      expiresAt: expiry,
+      metadata: { source: 'admin' }
+    });
+    await userRole.save();
+    invalidatePermissionCache(uid);
+
+    await recordAudit(req, 'user_role.grant', { type: 'user', id: uid }, {
+      after: snapshot(userRole, USER_ROLE_FIELDS),
+      metadata: { roleName: role.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Role ${role.name} granted to ${user.username}`,
+      userRole
+    });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while granting role'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:uid/roles/:userRoleId/extend
+// @desc    Extend a role assignment by a number of days
+// @access  Admin (admin.roles.manage)
+router.put('/users/:uid/roles/:userRoleId/extend', authenticateToken, requireRoleManager, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+    const userRoleId = parseInt(req.params.userRoleId);
+    const days = parseFloat(req.body.days);
+
+    if (isNaN(uid) || isNaN(userRoleId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user or assignment ID'
+      });
+    }
+
+    if (!Number.isFinite(days) || days <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be a positive number'
+      });
+    }
+
+    const userRole = await UserRole.findOne({ id: userRoleId, userUid: uid });
+    if (!userRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role assignment not found'
+      });
+    }
+
+    if (!userRole.expiresAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This role assignment does not expire'
+      });
+    }
+
+    // Expired assignments can be brought back, revoked ones have to be granted again
+    if (!userRole.active && userRole.metadata && userRole.metadata.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role assignment has been revoked'
+      });
+    }
+
+    const role = await Role.findOne({ id: userRole.roleId });
+    if (role && !ensureCanManageRole(req, res, role)) return;
+
+    const before = snapshot(userRole, USER_ROLE_FIELDS);
+
+    // Extending an already expired assignment counts from now, not from the old expiry
+    if (userRole.isExpired()) {
+      userRole.expiresAt = new Date().toISOString();
+    }
+    // A fresh expiry deserves a fresh reminder
+    const { reminderSentAt, expiredAt, ...metadata } = userRole.metadata || {};
+    userRole.metadata = metadata;
+    userRole.active = true;
+    userRole.assignedBy = req.user.uid;
+    await userRole.extend(days);
+    invalidatePermissionCache(uid);
+
+    await recordAudit(req, 'user_role.extend', { type: 'user', id: uid }, {
+      before,
+      after: snapshot(userRole, USER_ROLE_FIELDS),
+      metadata: { days }
+    });
+
+    res.json({
+      success: true,
+      message: `Role assignment extended by ${days} day(s)`,
+      userRole
+    });
+  } catch (error) {
+    console.error('Extend role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while extending role'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:uid/roles/:userRoleId
+// @desc    Revoke a role assignment
+// @access  Admin (admin.roles.manage)
+router.delete('/users/:uid/roles/:userRoleId', authenticateToken, requireRoleManager, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+    const userRoleId = parseInt(req.params.userRoleId);
+
+    if (isNaN(uid) || isNaN(userRoleId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user or assignment ID'
+      });
+    }
+
+    const userRole = await UserRole.findOne({ id: userRoleId, userUid: uid });
+    if (!userRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role assignment not found'
+      });
+    }
+
+    if (!userRole.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role assignment is already revoked'
+      });
+    }
+
+    const role = await Role.findOne({ id: userRole.roleId });
+    if (role && !ensureCanManageRole(req, res, role)) return;
+
+    const before = snapshot(userRole, USER_ROLE_FIELDS);
+
+    userRole.active = false;
+    userRole.metadata = {
+      ...userRole.metadata,
+      revokedBy: req.user.uid,
+      revokedAt: new Date().toISOString(),
+      revokeReason: req.body.reason || null
+    };
+    await userRole.save();
+    invalidatePermissionCache(uid);
+
+    await recordAudit(req, 'user_role.revoke', { type: 'user', id: uid }, {
+      before,
+      after: snapshot(userRole, USER_ROLE_FIELDS),
+      metadata: { reason: req.body.reason || null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role assignment revoked',
+      userRole
+    });
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking role'
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    Get background jobs and their last run
+// @access  Admin
+router.get('/jobs', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const jobs = await getJobStatuses();
+
+    res.json({
+      success: true,
+      jobs
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching jobs'
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:name/run
+// @desc    Run a background job immediately
+// @access  Admin (admin.settings.manage)
+router.post('/jobs/:name/run', authenticateToken, requirePermission('admin.settings.manage', 'Settings privileges required'), async (req, res) => {
+  try {
+    const job = await runJob(req.params.name, { force: true });
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running'
+      });
+    }
+
+    await recordAudit(req, 'job.run', { type: 'job', id: req.params.name }, {
+      metadata: { status: job.lastStatus, result: job.lastResult }
+    });
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} finished with status ${job.lastStatus}`,
+      job
+    });
+  } catch (error) {
+    if (error.message.startsWith('Unknown job')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running job'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit
+// @desc    Get audit log entries, newest first. Filters: actor (uid or username),
+//          targetType, targetId, action (exact, or prefix ending in '.*'), from, to
+// @access  Admin
+router.get('/audit', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    const { actor, targetType, targetId, action, from, to } = req.query;
+
+    // Repeated or bracketed params arrive as arrays/objects and would reach the query as operators
+    const filters = [actor, targetType, targetId, action, from, to];
+    if (filters.some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Filters must be plain strings'
+      });
+    }
+
+    const query = {};
+
+    if (actor) {
+      if (actor === 'system') {
+        query.actorUid = null;
+      } else if (/^\d+$/.test(actor)) {
+        query.actorUid = parseInt(actor);
+      } else {
+        const actorUser = await User.findOne({ username: actor }).select('uid');
+        query.actorUid = actorUser ? actorUser.uid : -1;
+      }
+    }
+
+    if (targetType) {
+      query.targetType = targetType;
+    }
+    if (targetId) {
+      query.targetId = String(targetId);
+    }
+
+    if (action) {
+      if (action.endsWith('.*')) {
+        const prefix = action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.action = { $regex: `^${prefix}` };
+      } else {
+        query.action = action;
+      }
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from).toISOString();
+      if (to) query.createdAt.$lte = new Date(to).toISOString();
+    }
+
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1, id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:uid/bans
+// @desc    Get a user's ban history with any appeals
+// @access  Admin
+router.get('/users/:uid/bans', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+
+    if (isNaN(uid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findOne({ uid });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Make sure a ban issued before ban history existed shows up
+    await getActiveBan(user);
+
+    const bans = await Ban.find({ userUid: uid }).sort({ createdAt: -1 });
+    const appeals = await BanAppeal.find({ banId: { $in: bans.map(ban => ban.id) } });
+    const appealsByBan = new Map(appeals.map(appeal => [appeal.banId, appeal]));
+
+    const staffUids = new Set();
+    bans.forEach(ban => {
+      if (ban.bannedBy) staffUids.add(ban.bannedBy);
+      if (ban.liftedBy) staffUids.add(ban.liftedBy);
+    });
+    const staff = await User.find({ uid: { $in: [...staffUids] } }).select('uid username');
+    const usernames = new Map(staff.map(member => [member.uid, member.username]));
+
+    res.json({
+      success: true,
+      current: user.getBanDetails(),
+      bans: bans.map(ban => ({
+        ...ban.toJSON(),
+        bannedByUsername: usernames.get(ban.bannedBy) || null,
+        liftedByUsername: usernames.get(ban.liftedBy) || null,
+        appeal: appealsByBan.get(ban.id) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get ban history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ban history'
+    });
+  }
+});
+
+// @route   GET /api/admin/appeals
+// @desc    Get ban appeals (pending by default, oldest first)
+// @access  Admin
+router.get('/appeals', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+    const skip = (page - 1) * limit;
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+    const query = { status };
+
+    const appeals = await BanAppeal.find(query)
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await BanAppeal.countDocuments(query);
+
+    const bans = await Ban.find({ id: { $in: appeals.map(appeal => appeal.banId) } });
+    const bansById = new Map(bans.map(ban => [ban.id, ban]));
+    const users = await User.find({ uid: { $in: appeals.map(appeal => appeal.userUid) } }).select('uid username badge');
+    const usersByUid = new Map(users.map(user => [user.uid, user]));
+
+    res.json({
+      success: true,
+      appeals: appeals.map(appeal => ({
+        ...appeal.toJSON(),
+        ban: bansById.get(appeal.banId) || null,
+        user: usersByUid.get(appeal.userUid) || null
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get appeals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching appeals'
+    });
+  }
+});
+
+// Shared handler for approving and rejecting a ban appeal
+const reviewAppeal = (status) => async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid appeal ID'
+      });
+    }
+
+    const { note } = req.body;
+    if (status === 'rejected' && (!note || !note.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the rejection is required'
+      });
+    }
+
+    // Atomic so two admins can't review the same appeal
+    const appeal = await BanAppeal.findOneAndUpdate(
+      { id, status: 'pending' },
+      {
+        $set: {
+          status,
+          reviewedBy: req.user.uid,
+          reviewedAt: new Date().toISOString(),
+          reviewNote: note ? note.trim() : null
+        }
+      },
+      { new: true }
+    );
+
+    if (!appeal) {
+      const exists = await BanAppeal.exists({ id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Appeal has already been reviewed' : 'Appeal not found'
+      });
+    }
+
+    const user = await User.findOne({ uid: appeal.userUid });
+    const ban = await Ban.findOne({ id: appeal.banId });
+
+    if (status === 'approved' && user && ban && ban.active) {
+      await liftBan(user, { liftedBy: req.user.uid, reason: 'appeal_approved' });
+
+      await Notification.createNotification(
+        user.uid,
+        'system',
+        'Your ban appeal was approved',
+        note ? `Your ban has been lifted. Staff note: ${note.trim()}` : 'Your ban has been lifted. Welcome back.',
+        { appealId: appeal.id, banId: appeal.banId },
+        appeal.id
+      );
+    }
+
+    await recordAudit(req, `ban_appeal.${status === 'approved' ? 'approve' : 'reject'}`, { type: 'user', id: appeal.userUid }, {
+      before: { status: 'pending' },
+      after: { status, reviewNote: appeal.reviewNote },
+      metadata: { appealId: appeal.id, banId: appeal.banId }
+    });
+
+    res.json({
+      success: true,
+      message: status === 'approved' ? 'Appeal approved and ban lifted' : 'Appeal rejected',
+      appeal
+    });
+  } catch (error) {
+    console.error(`Review appeal (${status}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing appeal'
+    });
+  }
+};
+
+// @route   POST /api/admin/appeals/:id/approve
+// @desc    Approve a ban appeal and lift the ban
+// @access  Admin
+router.post('/appeals/:id/approve', authenticateToken, requireAdmin, reviewAppeal('approved'));
+
+// @route   POST /api/admin/appeals/:id/reject
+// @desc    Reject a ban appeal with a note
+// @access  Admin
+router.post('/appeals/:id/reject', authenticateToken, requireAdmin, reviewAppeal('rejected'));
+
+// Every IP address a user has been seen on, including the legacy last-seen IP
+const getUserIps = async (user) => {
+  const entries = await UserIp.find({ userUid: user.uid }).sort({ lastSeenAt: -1 });
+  const legacyIp = UserIp.normalizeIp(user.ipAddress);
+
+  if (legacyIp && legacyIp !== '0.0.0.0' && !entries.some(entry => entry.ipAddress === legacyIp)) {
+    entries.push({ userUid: user.uid, ipAddress: legacyIp, firstSeenAt: null, lastSeenAt: user.lastSeen, hits: 0 });
+  }
+
+  return entries;
+};
+
+// @route   GET /api/admin/users/:uid/ips
+// @desc    Get the IP addresses a user has been seen on
+// @access  Moderator
+router.get('/users/:uid/ips', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+
+    if (isNaN(uid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findOne({ uid });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const ips = await getUserIps(user);
+
+    res.json({
+      success: true,
+      ips: ips.map(entry => (typeof entry.toJSON === 'function' ? entry.toJSON() : entry))
+    });
+  } catch (error) {
+    console.error('Get user IPs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user IPs'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:uid/alts
+// @desc    Get other accounts that share an IP address with a user
+// @access  Moderator
+router.get('/users/:uid/alts', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+
+    if (isNaN(uid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findOne({ uid });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const ips = (await getUserIps(user)).map(entry => entry.ipAddress);
+
+    const shared = await UserIp.find({ ipAddress: { $in: ips }, userUid: { $ne: uid } });
+    const legacyMatches = await User.find({
+      uid: { $ne: uid },
+      $or: [{ ipAddress: { $in: ips } }, { ipAddress: { $in: ips.map(ip => `::ffff:${ip}`) } }]
+    }).select('uid ipAddress lastSeen');
+
+    // Group shared IPs by account
+    const sharedByUser = new Map();
+    const addShared = (userUid, ipAddress, lastSeenAt) => {
+      if (!sharedByUser.has(userUid)) {
+        sharedByUser.set(userUid, new Map());
+      }
+      const userIps = sharedByUser.get(userUid);
+      const existing = userIps.get(ipAddress);
+      if (!existing || (lastSeenAt && lastSeenAt > existing)) {
+        userIps.set(ipAddress, lastSeenAt);
+      }
+    };
+    shared.forEach(entry => addShared(entry.userUid, entry.ipAddress, entry.lastSeenAt));
+    legacyMatches.forEach(match => addShared(match.uid, UserIp.normalizeIp(match.ipAddress), match.lastSeen));
+
+    const alts = await User.find({ uid: { $in: [...sharedByUser.keys()] } })
+      .select('uid username badge joinDate lastSeen banned banReason banExpiresAt');
+
+    const ipBans = await IpBan.find({ active: true });
+    const bannedIps = new Set(ips.filter(ip => ipBans.some(ban => ban.isInEffect() && ipInRange(ip, ban.range))));
+
+    res.json({
+      success: true,
+      user: {
+        uid: user.uid,
+        username: user.username,
+        banned: user.banned
+      },
+      ips: ips.map(ip => ({ ipAddress: ip, banned: bannedIps.has(ip) })),
+      alts: alts
+        .map(alt => {
+          const sharedIps = [...sharedByUser.get(alt.uid).entries()].map(([ipAddress, lastSeenAt]) => ({ ipAddress, lastSeenAt }));
+          return {
+            uid: alt.uid,
+            username: alt.username,
+            badge: alt.badge,
+            joinDate: alt.joinDate,
+            lastSeen: alt.lastSeen,
+            banned: alt.banned,
+            banReason: alt.banReason,
+            banExpiresAt: alt.banExpiresAt,
+            sharedIps
+          };
+        })
+        .sort((a, b) => b.sharedIps.length - a.sharedIps.length)
+    });
+  } catch (error) {
+    console.error('Get user alts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alt accounts'
+    });
+  }
+});
+
+// @route   GET /api/admin/ip-bans
+// @desc    Get IP bans (active ones unless ?all=true)
+// @access  Admin
+router.get('/ip-bans', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const query = req.query.all === 'true' ? {} : { active: true };
+    const ipBans = await IpBan.find(query).sort({ createdAt: -1 }).limit(500);
+
+    res.json({
+      success: true,
+      ipBans
+    });
+  } catch (error) {
+    console.error('Get IP bans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching IP bans'
+    });
+  }
+});
+
+// @route   POST /api/admin/ip-bans
+// @desc    Ban an IP address or CIDR range, optionally for durationHours
+// @access  Admin
+router.post('/ip-bans', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { range, reason, durationHours, userUid } = req.body;
+
+    const parsed = parseIpRange(range);
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        message: 'range must be an IP address or CIDR range (e.g. 203.0.113.7 or 203.0.113.0/24)'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ban reason is required'
+      });
+    }
+
+    // Overly broad ranges would block most of the internet
+    const minPrefix = parsed.family === 'ipv4' ? 8 : 16;
+    if (parsed.prefix < minPrefix) {
+      return res.status(400).json({
+        success: false,
+        message: `CIDR prefix must be at least /${minPrefix}`
+      });
+    }
+
+    if (ipInRange(getClientIP(req), parsed.normalized)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This range includes your own IP address'
+      });
+    }
+
+    let expiresAt = null;
+    if (durationHours !== undefined && durationHours !== null) {
+      const hours = parseFloat(durationHours);
+      if (isNaN(hours) || hours <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'durationHours must be a positive number'
+        });
+      }
+      expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    }
+
+    const existingBan = await IpBan.findOne({ range: parsed.normalized, active: true });
+    if (existingBan && existingBan.isInEffect()) {
+      return res.status(409).json({
+        success: false,
+        message: 'This range is already banned'
+      });
+    }
+
+    const ipBan = new IpBan({
+      range: parsed.normalized,
+      reason: reason.trim(),
+      createdBy: req.user.uid,
+      userUid: userUid ? parseInt(userUid) : null,
+      expiresAt
+    });
+    await ipBan.save();
+    invalidateIpBanCache();
+
+    await recordAudit(req, 'ip_ban.create', { type: 'ip_ban', id: ipBan.id }, {
+      after: snapshot(ipBan, ['range', 'reason', 'userUid', 'expiresAt'])
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${parsed.normalized} has been banned`,
+      ipBan
+    });
+  } catch (error) {
+    console.error('Create IP ban error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating IP ban'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/ip-bans/:id
+// @desc    Lift an IP ban
+// @access  Admin
+router.delete('/ip-bans/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid IP ban ID'
+      });
+    }
+
+    const ipBan = await IpBan.findOne({ id, active: true });
+    if (!ipBan) {
+      return res.status(404).json({
+        success: false,
+        message: 'IP ban not found'
+      });
+    }
+
+    ipBan.active = false;
+    ipBan.liftedBy = req.user.uid;
+    ipBan.liftedAt = new Date().toISOString();
+    await ipBan.save();
+    invalidateIpBanCache();
+
+    await recordAudit(req, 'ip_ban.lift', { type: 'ip_ban', id: ipBan.id }, {
+      before: { active: true },
+      after: { active: false },
+      metadata: { range: ipBan.range }
+    });
+
+    res.json({
+      success: true,
+      message: `IP ban on ${ipBan.range} lifted`,
+      ipBan
+    });
+  } catch (error) {
+    console.error('Lift IP ban error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while lifting IP ban'
+    });
+  }
+});
+
+// @route   GET /api/admin/moderation/warning-policy
+// @desc    Get warning decay and sanction thresholds
+// @access  Moderator
+router.get('/moderation/warning-policy', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const policy = await getWarningPolicy();
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Get warning policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching warning policy'
+    });
+  }
+});
+
+// @route   PUT /api/admin/moderation/warning-policy
+// @desc    Set warning decay and sanction thresholds
+// @access  Admin (admin.settings.manage)
+router.put('/moderation/warning-policy', authenticateToken, requirePermission('admin.settings.manage', 'Settings privileges required'), async (req, res) => {
+  try {
+    const { policy, error } = validateWarningPolicy(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const previousPolicy = await getWarningPolicy();
+    await Setting.setValue(WARNING_POLICY_SETTING, policy, req.user.uid);
+
+    await recordAudit(req, 'setting.update', { type: 'setting', id: WARNING_POLICY_SETTING }, {
+      before: { value: previousPolicy },
+      after: { value: policy }
+    });
+
+    res.json({
+      success: true,
+      message: 'Warning policy updated',
+      policy
+    });
+  } catch (error) {
+    console.error('Update warning policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating warning policy'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:uid/warnings
+// @desc    Get a user's warnings (including expired and revoked), points and sanctions
+// @access  Moderator
+router.get('/users/:uid/warnings', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+
+    if (isNaN(uid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const warnings = await Warning.find({ userUid: uid }).sort({ createdAt: -1 });
+    const { points } = await getActiveWarnings(uid);
+    const sanctions = await getActiveSanctions(uid);
+
+    const staffUids = [...new Set(warnings.flatMap(w => [w.issuedBy, w.revokedBy]).filter(Boolean))];
+    const staff = await User.find({ uid: { $in: staffUids } }).select('uid username');
+    const usernames = new Map(staff.map(member => [member.uid, member.username]));
+
+    res.json({
+      success: true,
+      points,
+      sanctions,
+      warnings: warnings.map(warning => ({
+        ...warning.toJSON(),
+        issuedByUsername: usernames.get(warning.issuedBy) || null,
+        revokedByUsername: usernames.get(warning.revokedBy) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get user warnings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching warnings'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:uid/warnings
+// @desc    Warn a user; crossing a policy threshold applies its sanction automatically
+// @access  Moderator
+router.post('/users/:uid/warnings', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+    const { reason, reportId } = req.body;
+    const points = parseInt(req.body.points);
+
+    if (isNaN(uid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Warning reason is required'
+      });
+    }
+
+    if (isNaN(points) || points < 1 || points > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'points must be between 1 and 100'
+      });
+    }
+
+    const user = await User.findOne({ uid });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.uid === req.user.uid) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot warn yourself'
+      });
+    }
+
+    // Only admins may warn other staff
+    await attachPermissions(user);
+    if (user.hasPermission('moderation.access') && !req.user.hasPermission('admin.access')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can warn staff members'
+      });
+    }
+
+    const { warning, points: totalPoints } = await issueWarning(user, {
+      issuedBy: req.user.uid,
+      reason: reason.trim(),
+      points,
+      reportId: reportId ? parseInt(reportId) : null
+    });
+
+    await recordAudit(req, 'user.warn', { type: 'user', id: user.uid }, {
+      after: snapshot(warning, ['id', 'reason', 'points', 'expiresAt', 'sanctions']),
+      metadata: { totalPoints }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: warning.sanctions.length > 0
+        ? `${user.username} warned (${totalPoints} points) and sanctioned: ${warning.sanctions.map(s => s.action).join(', ')}`
+        : `${user.username} warned (${totalPoints} points)`,
+      warning,
+      points: totalPoints
+    });
+  } catch (error) {
+    console.error('Warn user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while warning user'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:uid/warnings/:warningId
+// @desc    Revoke a warning and lift the sanctions it triggered
+// @access  Moderator
+router.delete('/users/:uid/warnings/:warningId', authenticateToken, requireModerator, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+    const warningId = parseInt(req.params.warningId);
+
+    if (isNaN(uid) || isNaN(warningId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user or warning ID'
+      });
+    }
+
+    if (uid === req.user.uid) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot revoke your own warnings'
+      });
+    }
+
+    const warning = await Warning.findOne({ id: warningId, userUid: uid });
+    if (!warning) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warning not found'
+      });
+    }
+
+    if (warning.revoked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Warning is already revoked'
+      });
+    }
+
+    // Only admins may revoke warnings of other staff
+    const user = await User.findOne({ uid });
+    if (user) {
+      await attachPermissions(user);
+      if (user.hasPermission('moderation.access') && !req.user.hasPermission('admin.access')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins can revoke warnings of staff members'
+        });
+      }
+    }
+
+    await revokeWarning(warning, user, {
+      revokedBy: req.user.uid,
+      reason: req.body.reason || null
+    });
+
+    await recordAudit(req, 'user.warning_revoke', { type: 'user', id: uid }, {
+      before: { revoked: false },
+      after: { revoked: true },
+      metadata: { warningId: warning.id, reason: warning.revokeReason, sanctionsLifted: warning.sanctions.length }
+    });
+
+    res.json({
+      success: true,
+      message: 'Warning revoked',
+      warning
+    });
+  } catch (error) {
+    console.error('Revoke warning error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking warning'
+    });
+  }
+});
+
+// @route   GET /api/admin/invite-tree
+// @desc    Get who invited whom, below ?rootUid= or from every uninvited user
+// @access  Admin
+router.get('/invite-tree', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    let rootUid = null;
+    if (req.query.rootUid !== undefined) {
+      rootUid = parseInt(req.query.rootUid);
+      if (isNaN(rootUid)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+    }
+
+    const depth = Math.min(MAX_TREE_DEPTH, Math.max(1, parseInt(req.query.depth) || 3));
+
+    const { tree, nodes, truncated } = await buildInviteTree(rootUid, depth);
+    if (rootUid !== null && tree.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      depth,
+      nodes,
+      truncated,
+      tree
+    });
+  } catch (error) {
+    console.error('Get invite tree error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invite tree'
+    });
+  }
+});
+
+// @route   GET /api/admin/invites/penalty-policy
+// @desc    Get the penalty applied to inviters of banned users
+// @access  Admin
+router.get('/invites/penalty-policy', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const policy = await getInviterPenaltyPolicy();
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Get inviter penalty policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching inviter penalty policy'
+    });
+  }
+});
+
+// @route   PUT /api/admin/invites/penalty-policy
+// @desc    Set the penalty applied to inviters of banned users
+// @access  Admin (admin.settings.manage)
+router.put('/invites/penalty-policy', authenticateToken, requirePermission('admin.settings.manage', 'Settings privileges required'), async (req, res) => {
+  try {
+    const { policy, error } = validateInviterPenaltyPolicy(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const previousPolicy = await getInviterPenaltyPolicy();
+    await Setting.setValue(INVITER_PENALTY_SETTING, policy, req.user.uid);
+
+    await recordAudit(req, 'setting.update', { type: 'setting', id: INVITER_PENALTY_SETTING }, {
+      before: { value: previousPolicy },
+      after: { value: policy }
+    });
+
+    res.json({
+      success: true,
+      message: 'Inviter penalty policy updated',
+      policy
+    });
+  } catch (error) {
+    console.error('Update inviter penalty policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating inviter penalty policy'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:uid/penalize-inviter
+// @desc    Apply the inviter penalty for an already banned user
+// @access  Admin (admin.users.manage)
+router.post('/users/:uid/penalize-inviter', authenticateToken, requireUserManager, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+
+    if (isNaN(uid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findOne({ uid });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const ban = await getActiveBan(user);
+    if (!ban) {
+      return res.status(400).json({
+        success: false,
+        message: 'Inviters can only be penalised for banned users'
+      });
+    }
+
+    const penalty = await penalizeInviter(user, { ban, issuedBy: req.user.uid });
+    if (penalty.error) {
+      return res.status(penalty.status).json({
+        success: false,
+        message: penalty.error
+      });
+    }
+
+    await recordAudit(req, 'user.inviter_penalty', { type: 'user', id: penalty.inviterUid }, {
+      metadata: { inviteeUid: user.uid, banId: ban.id, ...penalty }
+    });
+
+    res.json({
+      success: true,
+      message: 'Inviter penalty applied',
+      penalty
+    });
+  } catch (error) {
+    console.error('Penalize inviter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while penalising inviter'
+    });
+  }
+});
+
+// Forum categories can be nested this many levels deep (top level included)
+const MAX_CATEGORY_DEPTH = 3;
+const CATEGORY_FIELDS = ['id', 'name', 'description', 'icon', 'color', 'parentId', 'order', 'active', 'access'];
+
+const requireCategoryManager = requirePermission('admin.categories.manage', 'Category management privileges required');
+
+// Check that every category in the list has a parent that exists, with no
+// cycles and no nesting deeper than MAX_CATEGORY_DEPTH; returns an error or null
+const validateCategoryTree = (categories) => {
+  const byId = new Map(categories.map(category => [category.id, category]));
+
+  const depthOf = new Map();
+  for (const category of categories) {
+    let depth = 1;
+    let parentId = category.parentId;
+    while (parentId !== null && parentId !== undefined) {
+      if (parentId === category.id || depth > categories.length) {
+        return 'A category cannot be nested inside itself';
+      }
+      const parent = byId.get(parentId);
+      if (!parent) {
+        return 'Parent category not found';
+      }
+      parentId = parent.parentId;
+      depth += 1;
+    }
+    depthOf.set(category.id, depth);
+  }
+
+  if (Math.max(...depthOf.values()) > MAX_CATEGORY_DEPTH) {
+    return `Categories can only be nested ${MAX_CATEGORY_DEPTH} levels deep`;
+  }
+  return null;
+};
+
+// Validate category access rules ({ view, createThread, reply }, each
+// { badges, permissions }); omitted actions are left open. Returns { access } or { error }
+const validateCategoryAccess = (access) => {
+  if (!access || typeof access !== 'object' || Array.isArray(access)) {
+    return { error: 'access must be an object of view, createThread and reply rules' };
+  }
+
+  const badges = User.schema.path('badge').enumValues;
+  const catalogue = Object.keys(PERMISSIONS);
+  const result = {};
+
+  for (const action of CATEGORY_ACCESS_ACTIONS) {
+    const rule = access[action] || {};
+    const ruleBadges = rule.badges || [];
+    const rulePermissions = rule.permissions || [];
+
+    if (!Array.isArray(ruleBadges) || !Array.isArray(rulePermissions)) {
+      return { error: `${action}.badges and ${action}.permissions must be lists` };
+    }
+
+    const unknownBadge = ruleBadges.find(badge => !badges.includes(badge));
+    if (unknownBadge !== undefined) {
+      return { error: `Unknown badge: ${unknownBadge}` };
+    }
+
+    const unknownPermission = rulePermissions.find(permission => !catalogue.includes(permission));
+    if (unknownPermission !== undefined) {
+      return { error: `Unknown permission: ${unknownPermission}` };
+    }
+
+    result[action] = { badges: [...new Set(ruleBadges)], permissions: [...new Set(rulePermissions)] };
+  }
+
+  return { access: result };
+};
+
+const parseParentId = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  return parseInt(value);
+};
+
+// @route   GET /api/admin/categories
+// @desc    Get every forum category, including inactive ones
+// @access  Admin (admin.categories.manage)
+router.get('/categories', authenticateToken, requireCategoryManager, async (req, res) => {
+  try {
+    const categories = await Category.find().sort({ parentId: 1, order: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      categories
+    });
+  } catch (error) {
+    console.error('Get admin categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories'
+    });
+  }
+});
+
+// @route   POST /api/admin/categories
+// @desc    Create a forum category, optionally under a parent
+// @access  Admin (admin.categories.manage)
+router.post('/categories', authenticateToken, requireCategoryManager, async (req, res) => {
+  try {
+    const { name, description, icon, color, order } = req.body;
+    const parentId = parseParentId(req.body.parentId);
+
+    let access;
+    if (req.body.access !== undefined) {
+      const accessResult = validateCategoryAccess(req.body.access);
+      if (accessResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: accessResult.error
+        });
+      }
+      access = accessResult.access;
+    }
+
+    if (!name || !name.trim() || !description || !description.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and description are required'
+      });
+    }
+
+    if (Number.isNaN(parentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid parent category ID'
+      });
+    }
+
+    const categories = await Category.find().select('id parentId order');
+    const treeError = validateCategoryTree([
+      ...categories.map(c => ({ id: c.id, parentId: c.parentId })),
+      { id: null, parentId }
+    ]);
+    if (treeError) {
+      return res.status(400).json({
+        success: false,
+        message: treeError
+      });
+    }
+
+    // New categories go to the end of their parent's list unless told otherwise
+    const siblingOrders = categories.filter(c => c.parentId === parentId).map(c => c.order);
+    const category = new Category({
+      name: name.trim(),
+      description: description.trim(),
+      icon,
+      color,
+      parentId,
+      order: order !== undefined ? parseInt(order) || 0 : (siblingOrders.length > 0 ? Math.max(...siblingOrders) + 1 : 1),
+      access,
+      createdBy: req.user.uid
+    });
+    await category.save();
+
+    await recordAudit(req, 'category.create', { type: 'category', id: category.id }, {
+      after: snapshot(category, CATEGORY_FIELDS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages[0] || 'Validation error'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating category'
+    });
+  }
+});
+
+// @route   PUT /api/admin/categories/reorder
+// @desc    Set order (and optionally parentId) for many categories at once, e.g. after a drag and drop
+// @access  Admin (admin.categories.manage)
+router.put('/categories/reorder', authenticateToken, requireCategoryManager, async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'items must be a non-empty list of { id, order, parentId }'
+      });
+    }
+
+    const updates = new Map();
+    for (const item of items) {
+      const id = parseInt(item.id);
+      const order = parseInt(item.order);
+      const parentId = parseParentId(item.parentId);
+      if (isNaN(id) || isNaN(order) || Number.isNaN(parentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each item needs a numeric id and order'
+        });
+      }
+      updates.set(id, { order, parentId: item.parentId === undefined ? undefined : parentId });
+    }
+
+    const categories = await Category.find().select('id parentId order');
+    const existingIds = new Set(categories.map(c => c.id));
+    if ([...updates.keys()].some(id => !existingIds.has(id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    // Validate the tree as it will look after the move
+    const treeError = validateCategoryTree(categories.map(c => {
+      const update = updates.get(c.id);
+      return { id: c.id, parentId: update && update.parentId !== undefined ? update.parentId : c.parentId };
+    }));
+    if (treeError) {
+      return res.status(400).json({
+        success: false,
+        message: treeError
+      });
+    }
+
+    const before = categories
+      .filter(c => updates.has(c.id))
+      .map(c => ({ id: c.id, order: c.order, parentId: c.parentId }));
+
+    await Category.bulkWrite([...updates.entries()].map(([id, update]) => ({
+      updateOne: {
+        filter: { id },
+        update: { $set: update.parentId !== undefined ? { order: update.order, parentId: update.parentId } : { order: update.order } }
+      }
+    })));
+
+    await recordAudit(req, 'category.reorder', { type: 'category', id: null }, {
+      before: { categories: before },
+      after: { categories: [...updates.entries()].map(([id, update]) => ({ id, ...update })) }
+    });
+
+    const updated = await Category.find().sort({ parentId: 1, order: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      message: 'Categories reordered successfully',
+      categories: updated
+    });
+  } catch (error) {
+    console.error('Reorder categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering categories'
+    });
+  }
+});
+
+// @route   PUT /api/admin/categories/:id
+// @desc    Rename, restyle, move, (de)activate or change who can access a category
+// @access  Admin (admin.categories.manage)
+router.put('/categories/:id', authenticateToken, requireCategoryManager, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    const category = await Category.findOne({ id });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { name, description, icon, color, order, active } = req.body;
+
+    let access;
+    if (req.body.access !== undefined) {
+      const accessResult = validateCategoryAccess(req.body.access);
+      if (accessResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: accessResult.error
+        });
+      }
+      access = accessResult.access;
+    }
+
+    if (req.body.parentId !== undefined) {
+      const parentId = parseParentId(req.body.parentId);
+      if (Number.isNaN(parentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent category ID'
+        });
+      }
+
+      const categories = await Category.find().select('id parentId');
+      const treeError = validateCategoryTree(categories.map(c => ({
+        id: c.id,
+        parentId: c.id === id ? parentId : c.parentId
+      })));
+      if (treeError) {
+        return res.status(400).json({
+          success: false,
+          message: treeError
+        });
+      }
+    }
+
+    const before = snapshot(category, CATEGORY_FIELDS);
+
+    if (name !== undefined) category.name = String(name).trim();
+    if (description !== undefined) category.description = String(description).trim();
+    if (icon !== undefined) category.icon = icon;
+    if (color !== undefined) category.color = color;
+    if (order !== undefined) category.order = parseInt(order) || 0;
+    if (active !== undefined) category.active = Boolean(active);
+    if (req.body.parentId !== undefined) category.parentId = parseParentId(req.body.parentId);
+    if (access !== undefined) category.access = access;
+
+    await category.save();
+
+    await recordAudit(req, 'category.update', { type: 'category', id: category.id }, {
+      before,
+      after: snapshot(category, CATEGORY_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: messages[0] || 'Validation error'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating category'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/categories/:id
+// @desc    Deactivate a category (its threads are kept and it can be reactivated)
+// @access  Admin (admin.categories.manage)
+router.delete('/categories/:id', authenticateToken, requireCategoryManager, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    const category = await Category.findOne({ id, active: true });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const activeChildren = await Category.countDocuments({ parentId: id, active: true });
+    if (activeChildren > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Move or deactivate its subcategories first'
+      });
+    }
+
+    category.active = false;
+    await category.save();
+
+    await recordAudit(req, 'category.deactivate', { type: 'category', id: category.id }, {
+      before: { active: true },
+      after: { active: false },
+      metadata: { name: category.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Deactivate category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating category'
+    });
+  }
+});
+
 export default router;
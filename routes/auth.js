@@ -1,11 +1,148 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import rateLimit from 'express-rate-limit';
 import User from '../models/User.js';
+import BanAppeal from '../models/BanAppeal.js';
 import InvitationCode from '../models/InvitationCode.js';
-import { generateToken, getClientIP } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import UserToken from '../models/UserToken.js';
+import {
+  authenticateToken,
+  generateToken,
+  generateTwoFactorChallenge,
+  generateBanAppealToken,
+  issueTokens,
+  getClientIP
+} from '../middleware/auth.js';
+import {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthURI,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} from '../utils/twoFactor.js';
+import { sendPasswordResetEmail } from '../utils/mailer.js';
+import { sendEmailVerification } from '../utils/emailVerification.js';
+import { liftBanIfExpired, getActiveBan } from '../utils/bans.js';
+import { findIpBan, ipBannedResponse } from '../utils/ipBans.js';
+import { lookupCountry } from '../utils/geoip.js';
+import {
+  getActiveLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearAccountLockout
+} from '../utils/loginProtection.js';
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Rate limiting for verification emails
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 resends per hour
+  message: { success: false, message: 'Too many verification emails requested, please try again later.' }
+});
+
+// Rate limiting for password reset emails
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 reset requests per hour
+  message: { success: false, message: 'Too many password reset requests, please try again later.' }
+});
+
+// Rate limiting for second-factor attempts
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 attempts per window
+  message: { success: false, message: 'Too many verification attempts, please try again later.' }
+});
+
+// Rate limiting for ban appeals
+const banAppealLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 appeal requests per hour
+  message: { success: false, message: 'Too many appeal requests, please try again later.' }
+});
+
+// Respond with 429 for a locked account or IP
+const sendLockedOut = (res, lockout) => {
+  res.set('Retry-After', String(lockout.retryAfter));
+  return res.status(429).json({
+    success: false,
+    code: 'LOGIN_LOCKED',
+    message: lockout.scope === 'account'
+      ? 'Too many failed login attempts for this account. Please try again later.'
+      : 'Too many failed login attempts from this IP. Please try again later.',
+    retryAfter: lockout.retryAfter,
+    lockedUntil: lockout.lockedUntil
+  });
+};
+
+// Check a TOTP code or recovery code against the user's enrolled secret.
+// The code is spent with a conditional update, so two concurrent requests
+// cannot both use the same recovery code or TOTP step.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { uid: user.uid, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+    // Mirror the change without marking it dirty so a later save can't write back a stale list
+    user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(existing => existing !== hash);
+    user.unmarkModified('twoFactor.recoveryCodes');
+    return true;
+  }
+
+  const step = verifyTOTP(user.twoFactor.secret, code);
+  if (step === null) {
+    return false;
+  }
+  const result = await User.updateOne(
+    {
+      uid: user.uid,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+  user.twoFactor.lastUsedStep = step;
+  user.unmarkModified('twoFactor.lastUsedStep');
+  return true;
+};
+
+// Resolve the banned user an appeal token was issued to, or null if it is invalid
+const findAppealUser = async (appealToken) => {
+  if (!appealToken) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(appealToken, process.env.JWT_SECRET);
+  } catch (tokenError) {
+    return null;
+  }
+
+  if (decoded.purpose !== 'ban_appeal') {
+    return null;
+  }
+
+  const user = await User.findOne({ uid: decoded.uid });
+  if (!user || !user.banned || await liftBanIfExpired(user)) {
+    return null;
+  }
+
+  return user;
+};
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
@@ -23,7 +160,23 @@ router.post('/login', async (req, res) => {
 
     // Find user by email
     const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Refuse to check passwords while the account or IP is locked out
+    const lockout = await getActiveLockout(user ? user.uid : null, getClientIP(req));
+    if (lockout) {
+      return sendLockedOut(res, lockout);
+    }
+
+    const ipBan = await findIpBan(getClientIP(req));
+    if (ipBan) {
+      // Counted against the IP only; the password was never checked, so the
+      // account holder's failure count and lockout must not be touched
+      await recordLoginFailure({ req, email, reason: 'ip_banned' });
+      return res.status(403).json(ipBannedResponse(ipBan));
+    }
+
     if (!user) {
+      await recordLoginFailure({ req, email, reason: 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -33,36 +186,49 @@ router.post('/login', async (req, res) => {
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await recordLoginFailure({ req, user, reason: 'invalid_password' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Check if user is banned
-    if (user.banned) {
+    // Check if user is banned (temporary bans that have run out are lifted here)
+    if (user.banned && !(await liftBanIfExpired(user))) {
+      await recordLoginFailure({ req, user, reason: 'banned' });
       return res.status(403).json({
         success: false,
         message: 'Account is banned',
-        user: {
-          banned: true,
-          banReason: user.banReason,
-          bannedAt: user.bannedAt
-        }
+        user: user.getBanDetails(),
+        // The password was correct, so let the user appeal the ban
+        appealToken: generateBanAppealToken(user)
+      });
+    }
+
+    // Second factor is checked in /2fa/verify before a session is issued
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user)
       });
     }
 
+    await recordLoginSuccess({ req, user, method: 'password' });
+
     // Update last seen and IP
     await user.updateLastSeen(getClientIP(req));
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Start a session and generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       user: user.toJSON(),
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -88,6 +254,12 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    // Banned networks can't create new accounts
+    const ipBan = await findIpBan(getClientIP(req));
+    if (ipBan) {
+      return res.status(403).json(ipBannedResponse(ipBan));
+    }
+
     // Validate email domain
     const allowedDomains = ['gmail.com', 'hotmail.com', 'outlook.com'];
     const emailDomain = email.toLowerCase().split('@')[1];
@@ -143,7 +315,9 @@ router.post('/register', async (req, res) => {
 
     if (!inviteCode.isValid()) {
       let message = 'Invalid invitation code';
-      if (inviteCode.isExpired()) {
+      if (inviteCode.revoked) {
+        message = 'Invitation code has been revoked';
+      } else if (inviteCode.isExpired()) {
         message = 'Invitation code has expired';
       } else if (inviteCode.used || inviteCode.currentUses >= inviteCode.maxUses) {
         message = 'Invitation code has already been used';
@@ -159,6 +333,7 @@ router.post('/register', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 12);
 
     // Create new user
+    const registrationCountry = await lookupCountry(getClientIP(req));
     const newUser = new User({
       email: email.toLowerCase(),
       username: username.trim(),
@@ -167,6 +342,10 @@ router.post('/register', async (req, res) => {
       joinDate: new Date().toISOString(),
       lastSeen: new Date().toISOString(),
       ipAddress: getClientIP(req),
+      country: registrationCountry,
+      registrationCountry,
+      invitationCode: inviteCode.code,
+      invitedBy: inviteCode.createdBy,
       messages: 0,
       reactionScore: 0,
       points: 0,
@@ -178,14 +357,21 @@ router.post('/register', async (req, res) => {
     // Mark invitation code as used
     await inviteCode.markAsUsed(newUser.uid);
 
-    // Generate JWT token
-    const token = generateToken(newUser);
+    // Ask the user to prove they own the address
+    await sendEmailVerification(newUser, getClientIP(req));
+
+    // Record the signup device so it isn't reported as new on the next login
+    await recordLoginSuccess({ req, user: newUser, method: 'registration' });
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await issueTokens(newUser, req);
 
     res.status(201).json({
       success: true,
       message: 'Registration successful',
       user: newUser.toJSON(),
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -229,8 +415,16 @@ router.post('/verify-token', async (req, res) => {
       });
     }
 
-    const jwt = await import('jsonwebtoken');
-    const decoded = jwt.default.verify(token, process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const session = decoded.sid ? await Session.findOne({ id: decoded.sid, userUid: decoded.uid }) : null;
+    if (!session || !session.isValid()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
     const user = await User.findOne({ uid: decoded.uid });
 
     if (!user) {
@@ -240,15 +434,11 @@ router.post('/verify-token', async (req, res) => {
       });
     }
 
-    if (user.banned) {
+    if (user.banned && !(await liftBanIfExpired(user))) {
       return res.status(403).json({
         success: false,
         message: 'Account is banned',
-        user: {
-          banned: true,
-          banReason: user.banReason,
-          bannedAt: user.bannedAt
-        }
+        user: user.getBanDetails()
       });
     }
 
@@ -282,4 +472,760 @@ router.post('/verify-token', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a 2FA login by exchanging a challenge token and code for a session
+// @access  Public
+router.post('/2fa/verify', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a code or recovery code are required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    if (decoded.purpose !== '2fa_challenge') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    const user = await User.findOne({ uid: decoded.uid });
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    if (user.banned && !(await liftBanIfExpired(user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is banned',
+        user: user.getBanDetails()
+      });
+    }
+
+    const lockout = await getActiveLockout(user.uid, getClientIP(req));
+    if (lockout) {
+      return sendLockedOut(res, lockout);
+    }
+
+    const method = recoveryCode ? 'recovery_code' : '2fa';
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordLoginFailure({ req, user, reason: 'invalid_2fa_code', method });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await recordLoginSuccess({ req, user, method });
+
+    await user.updateLastSeen(getClientIP(req));
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: user.toJSON(),
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment by generating a new secret
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    req.user.twoFactor.pendingSecret = secret;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildOtpauthURI(secret, req.user.email)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @access  Private
+router.post('/2fa/enable', authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTOTP(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date().toISOString();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA (requires password and a current code)
+// @access  Private
+router.post('/2fa/disable', authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and a code or recovery code are required'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = null;
+    user.twoFactor.enabledAt = null;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while regenerating recovery codes'
+    });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password (signs out all other sessions)
+// @access  Private
+router.put('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, req.user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    req.user.password = await bcrypt.hash(newPassword, 12);
+    await req.user.save();
+
+    await Session.revokeAllForUser(req.user.uid, 'Password changed', req.authSession.id);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const genericResponse = {
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user || user.banned) {
+      return res.json(genericResponse);
+    }
+
+    const { token } = await UserToken.issue(user.uid, 'password_reset', PASSWORD_RESET_TTL_MINUTES, getClientIP(req));
+
+    try {
+      await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token (signs out all sessions)
+// @access  Public
+router.post('/reset-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const resetToken = await UserToken.consume(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findOne({ uid: resetToken.userUid });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 12);
+    await user.save();
+
+    await Session.revokeAllForUser(user.uid, 'Password reset');
+    await clearAccountLockout(user.uid);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address using the emailed token
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+
+    const verificationToken = await UserToken.consume(token, 'email_verification');
+    if (!verificationToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findOne({ uid: verificationToken.userUid });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.emailVerified) {
+      await user.markEmailVerified();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address verified',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification email
+// @access  Private
+router.post('/verify-email/resend', authenticateToken, verificationEmailLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await sendEmailVerification(req.user, getClientIP(req));
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = Session.hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A rotated-out token being replayed means it was leaked - kill the session
+      const reusedSession = await Session.findOne({ previousTokenHash: tokenHash, revoked: false });
+      if (reusedSession) {
+        await reusedSession.revoke('Refresh token reuse detected');
+        console.warn(`⚠️ Refresh token reuse detected for session ${reusedSession.id} (user ${reusedSession.userUid})`);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    if (!session.isValid()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    const user = await User.findOne({ uid: session.userUid });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token - user not found'
+      });
+    }
+
+    if (user.banned && !(await liftBanIfExpired(user))) {
+      await session.revoke('User banned');
+      return res.status(403).json({
+        success: false,
+        message: 'Account is banned',
+        user: user.getBanDetails()
+      });
+    }
+
+    const newRefreshToken = await session.rotate(getClientIP(req), req.headers['user-agent']);
+    if (!newRefreshToken) {
+      // Another request already spent this token - same as replaying a rotated-out one
+      await session.revoke('Refresh token reuse detected');
+      console.warn(`⚠️ Refresh token reuse detected for session ${session.id} (user ${session.userUid})`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const token = generateToken(user, session);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      token,
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await req.authSession.revoke('Logged out');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userUid: req.user.uid,
+      revoked: false,
+      expiresAt: { $gt: new Date().toISOString() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.id === req.authSession.id
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const session = await Session.findOne({ id: sessionId, userUid: req.user.uid });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!session.revoked) {
+      await session.revoke('Revoked by user');
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+// @route   POST /api/auth/ban-appeal/status
+// @desc    Get the current ban and its appeal for a banned user
+// @access  Public (requires the appeal token returned by /login)
+router.post('/ban-appeal/status', banAppealLimiter, async (req, res) => {
+  try {
+    const user = await findAppealUser(req.body.appealToken);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Appeal token is invalid or has expired, or the account is no longer banned'
+      });
+    }
+
+    const ban = await getActiveBan(user);
+    const appeal = await BanAppeal.findOne({ banId: ban.id });
+
+    res.json({
+      success: true,
+      ban,
+      appeal: appeal ? {
+        id: appeal.id,
+        message: appeal.message,
+        status: appeal.status,
+        reviewNote: appeal.reviewNote,
+        reviewedAt: appeal.reviewedAt,
+        createdAt: appeal.createdAt
+      } : null,
+      canAppeal: !appeal
+    });
+  } catch (error) {
+    console.error('Get ban appeal status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching appeal'
+    });
+  }
+});
+
+// @route   POST /api/auth/ban-appeal
+// @desc    Submit the single appeal allowed for the current ban
+// @access  Public (requires the appeal token returned by /login)
+router.post('/ban-appeal', banAppealLimiter, async (req, res) => {
+  try {
+    const { appealToken, message } = req.body;
+
+    const user = await findAppealUser(appealToken);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Appeal token is invalid or has expired, or the account is no longer banned'
+      });
+    }
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appeal message is required'
+      });
+    }
+
+    const ban = await getActiveBan(user);
+    const existingAppeal = await BanAppeal.findOne({ banId: ban.id });
+    if (existingAppeal) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already appealed this ban'
+      });
+    }
+
+    const appeal = new BanAppeal({
+      banId: ban.id,
+      userUid: user.uid,
+      message
+    });
+    await appeal.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Your appeal has been submitted and will be reviewed by staff',
+      appeal
+    });
+  } catch (error) {
+    console.error('Submit ban appeal error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already appealed this ban'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting appeal'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
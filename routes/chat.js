@@ -1,7 +1,8 @@
 import express from 'express';
 import ChatMessage from '../models/ChatMessage.js';
-import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import { authenticateToken, optionalAuth, requirePermission } from '../middleware/auth.js';
 import rateLimit from 'express-rate-limit';
+import { recordAudit } from '../utils/audit.js';
 
 const router = express.Router();
 
@@ -39,7 +40,7 @@ router.get('/messages', optionalAuth, async (req, res) => {
 // @route   POST /api/chat/messages
 // @desc    Send a chat message
 // @access  Private
-router.post('/messages', authenticateToken, chatLimiter, async (req, res) => {
+router.post('/messages', authenticateToken, requirePermission('chat.send', 'You are currently muted in chat', { enforceTwoFactor: false }), chatLimiter, async (req, res) => {
   try {
     const { content } = req.body;
     
@@ -89,8 +90,8 @@ router.delete('/messages/:messageId', authenticateToken, async (req, res) => {
       });
     }
     
-    // Only sender or moderator can delete
-    if (message.userUid !== userUid && !req.user.isModerator()) {
+    // Only the sender or staff with chat.message.delete.any can delete
+    if (message.userUid !== userUid && !req.user.hasPermission('chat.message.delete.any')) {
       return res.status(403).json({
         success: false,
         message: 'You can only delete your own messages'
@@ -99,6 +100,15 @@ router.delete('/messages/:messageId', authenticateToken, async (req, res) => {
     
     message.deleted = true;
     await message.save();
+
+    // Moderators removing someone else's message is a moderation action
+    if (message.userUid !== userUid) {
+      await recordAudit(req, 'chat_message.delete', { type: 'chat_message', id: message.id }, {
+        before: { deleted: false, content: message.content },
+        after: { deleted: true },
+        metadata: { authorUid: message.userUid }
+      });
+    }
     
     res.json({
       success: true,
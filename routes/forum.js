@@ -1,24 +1,110 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import Category from '../models/Category.js';
 import Thread from '../models/Thread.js';
 import Post from '../models/Post.js';
 import User from '../models/User.js';
-import { authenticateToken, optionalAuth, requireModerator } from '../middleware/auth.js';
+import Revision from '../models/Revision.js';
+import { authenticateToken, optionalAuth, requireModerator, requireVerifiedEmail, requirePermission } from '../middleware/auth.js';
 import { createMentionsFromContent } from '../utils/mentions.js';
+import { recordAudit } from '../utils/audit.js';
+import { attachPermissions } from '../utils/permissions.js';
+import { escapeRegex, parseSearchTerms, highlightTerms, buildSnippet } from '../utils/search.js';
+import { getVisibleCategories, getVisibleCategoryIds, getVisibleCategory } from '../utils/forumAccess.js';
 
 const router = express.Router();
 
+const searchLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // limit each IP to 30 searches per minute
+  message: { success: false, message: 'Too many searches, please slow down.' }
+});
+
+// Every page of results is built by ranking all the hits before it, so only
+// the first few pages can be browsed
+const MAX_SEARCH_PAGE = 20;
+
+// Authors can edit their own threads and posts for this long after posting
+const EDIT_WINDOW_MINUTES = parseInt(process.env.FORUM_EDIT_WINDOW_MINUTES) || 30;
+
+// Why a user may not edit a thread or post, or null if they may
+const getEditDenial = (user, doc, thread) => {
+  if (user.hasPermission('forum.post.edit.any')) {
+    return null;
+  }
+  if (doc.authorUid !== user.uid) {
+    return 'You can only edit your own posts';
+  }
+  if (!user.hasPermission('forum.post.create')) {
+    return 'You are currently restricted from posting';
+  }
+  if (thread.locked) {
+    return 'Thread is locked';
+  }
+  if (Date.now() - new Date(doc.createdAt).getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+    return `Posts can only be edited within ${EDIT_WINDOW_MINUTES} minutes of posting`;
+  }
+  return null;
+};
+
+// Recalculate a category's thread and post counts after threads change
+const refreshCategoryStats = async (categoryId) => {
+  const category = await Category.findOne({ id: categoryId });
+  if (category) {
+    await category.updateThreadCount();
+    await category.updatePostCount();
+  }
+};
+
 // @route   GET /api/forum/categories
-// @desc    Get all forum categories
+// @desc    Get the forum category tree with each category's latest thread
 // @access  Public
 router.get('/categories', optionalAuth, async (req, res) => {
   try {
-    const categories = await Category.find({ active: true })
-      .sort({ order: 1, createdAt: 1 });
+    const categories = await getVisibleCategories(req.user);
+
+    const latestThreads = await Thread.aggregate([
+      { $match: { deleted: false, categoryId: { $in: categories.map(category => category.id) } } },
+      { $sort: { lastActivity: -1 } },
+      {
+        $group: {
+          _id: '$categoryId',
+          id: { $first: '$id' },
+          title: { $first: '$title' },
+          authorUid: { $first: '$authorUid' },
+          authorUsername: { $first: '$authorUsername' },
+          lastPostBy: { $first: '$lastPostBy' },
+          lastPostAt: { $first: '$lastPostAt' },
+          lastActivity: { $first: '$lastActivity' }
+        }
+      }
+    ]);
+    const latestByCategory = new Map(latestThreads.map(({ _id, ...thread }) => [_id, thread]));
+
+    // Categories come back sorted, so children keep their order under each parent.
+    // Access rules stay private; clients only learn what the current user may do.
+    const nodes = new Map(categories.map(category => {
+      const { access, ...fields } = category.toJSON();
+      return [category.id, {
+        ...fields,
+        canCreateThread: Boolean(req.user) && category.canAccess(req.user, 'createThread'),
+        canReply: Boolean(req.user) && category.canAccess(req.user, 'reply'),
+        latestThread: latestByCategory.get(category.id) || null,
+        children: []
+      }];
+    }));
+    const tree = [];
+    for (const node of nodes.values()) {
+      if (node.parentId !== null && node.parentId !== undefined) {
+        nodes.get(node.parentId).children.push(node);
+      } else {
+        tree.push(node);
+      }
+    }
 
     res.json({
       success: true,
-      categories
+      categories: tree
     });
   } catch (error) {
     console.error('Get categories error:', error);
@@ -29,8 +115,165 @@ router.get('/categories', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/forum/search
+// @desc    Full-text search over thread titles, thread bodies and posts
+// @access  Public
+router.get('/search', optionalAuth, searchLimiter, async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const threadsOnly = req.query.threadsOnly === 'true';
+
+    if (q.length < 2 || q.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be between 2 and 100 characters'
+      });
+    }
+
+    if (page > MAX_SEARCH_PAGE) {
+      return res.status(400).json({
+        success: false,
+        message: `Only the first ${MAX_SEARCH_PAGE} pages of results are available, try a narrower search`
+      });
+    }
+
+    let categoryIds = await getVisibleCategoryIds(req.user);
+    if (req.query.categoryId) {
+      const categoryId = parseInt(req.query.categoryId);
+      if (isNaN(categoryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category ID'
+        });
+      }
+      categoryIds = categoryIds.filter(id => id === categoryId);
+    }
+
+    const filters = {};
+
+    // Author by UID or username
+    if (req.query.author) {
+      const author = String(req.query.author).trim();
+      const authorUser = /^\d+$/.test(author)
+        ? await User.findOne({ uid: parseInt(author) })
+        : await User.findOne({ username: { $regex: new RegExp(`^${escapeRegex(author)}$`, 'i') } });
+      filters.authorUid = authorUser ? authorUser.uid : -1;
+    }
+
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+      // A bare date for "to" includes that whole day
+      if (to && String(req.query.to).length === 10) {
+        to.setUTCDate(to.getUTCDate() + 1);
+      }
+      filters.createdAt = {};
+      if (from) filters.createdAt.$gte = from.toISOString();
+      if (to) filters.createdAt.$lt = to.toISOString();
+    }
+
+    // Enough of each kind to fill the requested page once both are merged by score
+    const fetchCount = page * limit;
+    const textScore = { score: { $meta: 'textScore' } };
+
+    const threadQuery = { $text: { $search: q }, deleted: false, categoryId: { $in: categoryIds }, ...filters };
+    const [threads, threadTotal] = await Promise.all([
+      Thread.find(threadQuery, textScore).sort(textScore).limit(fetchCount).lean(),
+      Thread.countDocuments(threadQuery)
+    ]);
+
+    let posts = [];
+    let postTotal = 0;
+    if (!threadsOnly) {
+      // Posts carry no category, so scope them through their threads
+      const threadScope = req.query.categoryId
+        ? { $in: await Thread.find({ deleted: false, categoryId: { $in: categoryIds } }).distinct('id') }
+        : { $nin: await Thread.find({ $or: [{ deleted: true }, { categoryId: { $nin: categoryIds } }] }).distinct('id') };
+
+      const postQuery = { $text: { $search: q }, deleted: false, threadId: threadScope, ...filters };
+      [posts, postTotal] = await Promise.all([
+        Post.find(postQuery, textScore).sort(textScore).limit(fetchCount).lean(),
+        Post.countDocuments(postQuery)
+      ]);
+    }
+
+    const postThreads = await Thread.find({ id: { $in: [...new Set(posts.map(post => post.threadId))] } })
+      .select('id title categoryId')
+      .lean();
+    const threadsById = new Map(postThreads.map(thread => [thread.id, thread]));
+
+    // Thread scores come from a weighted index and post scores don't, so each
+    // kind is scaled against its own best hit before the lists are merged
+    const topThreadScore = threads.length > 0 ? threads[0].score : 1;
+    const topPostScore = posts.length > 0 ? posts[0].score : 1;
+
+    const terms = parseSearchTerms(q);
+    const results = [
+      ...threads.map(thread => ({
+        type: 'thread',
+        id: thread.id,
+        threadId: thread.id,
+        categoryId: thread.categoryId,
+        title: highlightTerms(thread.title, terms),
+        snippet: buildSnippet(thread.content, terms),
+        authorUid: thread.authorUid,
+        authorUsername: thread.authorUsername,
+        createdAt: thread.createdAt,
+        score: thread.score / topThreadScore
+      })),
+      ...posts.map(post => {
+        const thread = threadsById.get(post.threadId);
+        return {
+          type: 'post',
+          id: post.id,
+          threadId: post.threadId,
+          categoryId: thread ? thread.categoryId : null,
+          title: thread ? highlightTerms(thread.title, terms) : null,
+          snippet: buildSnippet(post.content, terms),
+          authorUid: post.authorUid,
+          authorUsername: post.authorUsername,
+          createdAt: post.createdAt,
+          score: post.score / topPostScore
+        };
+      })
+    ]
+      .sort((a, b) => b.score - a.score || (b.createdAt > a.createdAt ? 1 : -1))
+      .slice((page - 1) * limit, page * limit);
+
+    const total = threadTotal + postTotal;
+    const totalPages = Math.min(Math.ceil(total / limit), MAX_SEARCH_PAGE);
+
+    res.json({
+      success: true,
+      query: q,
+      results,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Forum search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching the forum'
+    });
+  }
+});
+
 // @route   GET /api/forum/threads
-// @desc    Get threads (optionally filtered by category)
+// @desc    Get threads (optionally filtered by category; ?deleted=true lists deleted threads for moderators)
 // @access  Public
 router.get('/threads', optionalAuth, async (req, res) => {
   try {
@@ -39,7 +282,18 @@ router.get('/threads', optionalAuth, async (req, res) => {
     const skip = (page - 1) * limit;
     const categoryId = req.query.categoryId ? parseInt(req.query.categoryId) : null;
 
-    let query = { deleted: false };
+    // Only moderators who can restore threads may list deleted ones
+    const showDeleted = req.query.deleted === 'true' && req.user && req.user.hasPermission('forum.thread.delete');
+
+    const categoryIds = await getVisibleCategoryIds(req.user);
+    if (categoryId && !categoryIds.includes(categoryId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    let query = { deleted: showDeleted, categoryId: { $in: categoryIds } };
     if (categoryId) {
       query.categoryId = categoryId;
     }
@@ -88,7 +342,8 @@ router.get('/threads/:id', optionalAuth, async (req, res) => {
 
     const thread = await Thread.findOne({ id: threadId, deleted: false });
     
-    if (!thread) {
+    // Threads in categories the user can't view are reported as missing
+    if (!thread || !(await getVisibleCategory(req.user, thread.categoryId))) {
       return res.status(404).json({
         success: false,
         message: 'Thread not found'
@@ -114,7 +369,7 @@ router.get('/threads/:id', optionalAuth, async (req, res) => {
 // @route   POST /api/forum/threads
 // @desc    Create new thread
 // @access  Private
-router.post('/threads', authenticateToken, async (req, res) => {
+router.post('/threads', authenticateToken, requirePermission('forum.thread.create', 'You are currently restricted from starting threads', { enforceTwoFactor: false }), requireVerifiedEmail('forum.post'), async (req, res) => {
   try {
     const { categoryId, title, content } = req.body;
 
@@ -125,8 +380,8 @@ router.post('/threads', authenticateToken, async (req, res) => {
       });
     }
 
-    // Validate category exists
-    const category = await Category.findOne({ id: categoryId, active: true });
+    // Validate category exists and the user may start threads in it
+    const category = await getVisibleCategory(req.user, parseInt(categoryId));
     if (!category) {
       return res.status(404).json({
         success: false,
@@ -134,6 +389,13 @@ router.post('/threads', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!category.canAccess(req.user, 'createThread')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot start threads in this category'
+      });
+    }
+
     const thread = new Thread({
       categoryId,
       title: title.trim(),
@@ -174,6 +436,281 @@ router.post('/threads', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/forum/threads/:id/lock
+// @desc    Lock or unlock a thread
+// @access  Moderator (forum.thread.lock)
+router.patch('/threads/:id/lock', authenticateToken, requirePermission('forum.thread.lock', 'Moderator privileges required'), async (req, res) => {
+  try {
+    const threadId = parseInt(req.params.id);
+    const { locked } = req.body;
+
+    if (isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid thread ID'
+      });
+    }
+
+    if (typeof locked !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'locked must be true or false'
+      });
+    }
+
+    const thread = await Thread.findOne({ id: threadId, deleted: false });
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+
+    if (thread.locked !== locked) {
+      await thread.toggleLock();
+
+      await recordAudit(req, locked ? 'thread.lock' : 'thread.unlock', { type: 'thread', id: thread.id }, {
+        before: { locked: !locked },
+        after: { locked },
+        metadata: { authorUid: thread.authorUid }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: locked ? 'Thread locked' : 'Thread unlocked',
+      thread
+    });
+  } catch (error) {
+    console.error('Lock thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating thread'
+    });
+  }
+});
+
+// @route   PATCH /api/forum/threads/:id/pin
+// @desc    Pin or unpin a thread
+// @access  Moderator (forum.thread.pin)
+router.patch('/threads/:id/pin', authenticateToken, requirePermission('forum.thread.pin', 'Moderator privileges required'), async (req, res) => {
+  try {
+    const threadId = parseInt(req.params.id);
+    const { pinned } = req.body;
+
+    if (isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid thread ID'
+      });
+    }
+
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'pinned must be true or false'
+      });
+    }
+
+    const thread = await Thread.findOne({ id: threadId, deleted: false });
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+
+    if (thread.pinned !== pinned) {
+      await thread.togglePin();
+
+      await recordAudit(req, pinned ? 'thread.pin' : 'thread.unpin', { type: 'thread', id: thread.id }, {
+        before: { pinned: !pinned },
+        after: { pinned },
+        metadata: { authorUid: thread.authorUid }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: pinned ? 'Thread pinned' : 'Thread unpinned',
+      thread
+    });
+  } catch (error) {
+    console.error('Pin thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating thread'
+    });
+  }
+});
+
+// @route   PATCH /api/forum/threads/:id/move
+// @desc    Move a thread to another category
+// @access  Moderator (forum.thread.move)
+router.patch('/threads/:id/move', authenticateToken, requirePermission('forum.thread.move', 'Moderator privileges required'), async (req, res) => {
+  try {
+    const threadId = parseInt(req.params.id);
+    const categoryId = parseInt(req.body.categoryId);
+
+    if (isNaN(threadId) || isNaN(categoryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid thread ID and category ID are required'
+      });
+    }
+
+    const thread = await Thread.findOne({ id: threadId, deleted: false });
+    if (!thread || !(await getVisibleCategory(req.user, thread.categoryId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+
+    const category = await getVisibleCategory(req.user, categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    // The thread has to be one its author could have started there
+    const author = await User.findOne({ uid: thread.authorUid });
+    if (author) {
+      await attachPermissions(author);
+    }
+    if (!author || !category.canAccess(author, 'createThread')) {
+      return res.status(400).json({
+        success: false,
+        message: 'The thread author cannot start threads in that category'
+      });
+    }
+
+    if (thread.categoryId === categoryId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Thread is already in this category'
+      });
+    }
+
+    const previousCategoryId = thread.categoryId;
+    thread.categoryId = categoryId;
+    await thread.save();
+
+    await refreshCategoryStats(previousCategoryId);
+    await refreshCategoryStats(categoryId);
+
+    await recordAudit(req, 'thread.move', { type: 'thread', id: thread.id }, {
+      before: { categoryId: previousCategoryId },
+      after: { categoryId },
+      metadata: { authorUid: thread.authorUid }
+    });
+
+    res.json({
+      success: true,
+      message: `Thread moved to ${category.name}`,
+      thread
+    });
+  } catch (error) {
+    console.error('Move thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moving thread'
+    });
+  }
+});
+
+// @route   DELETE /api/forum/threads/:id
+// @desc    Soft-delete a thread
+// @access  Moderator (forum.thread.delete)
+router.delete('/threads/:id', authenticateToken, requirePermission('forum.thread.delete', 'Moderator privileges required'), async (req, res) => {
+  try {
+    const threadId = parseInt(req.params.id);
+
+    if (isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid thread ID'
+      });
+    }
+
+    const thread = await Thread.findOne({ id: threadId, deleted: false });
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+
+    await thread.softDelete(req.user.uid);
+    await refreshCategoryStats(thread.categoryId);
+
+    await recordAudit(req, 'thread.delete', { type: 'thread', id: thread.id }, {
+      before: { deleted: false, title: thread.title },
+      after: { deleted: true },
+      metadata: { authorUid: thread.authorUid, categoryId: thread.categoryId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Thread deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting thread'
+    });
+  }
+});
+
+// @route   POST /api/forum/threads/:id/restore
+// @desc    Restore a soft-deleted thread
+// @access  Moderator (forum.thread.delete)
+router.post('/threads/:id/restore', authenticateToken, requirePermission('forum.thread.delete', 'Moderator privileges required'), async (req, res) => {
+  try {
+    const threadId = parseInt(req.params.id);
+
+    if (isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid thread ID'
+      });
+    }
+
+    const thread = await Thread.findOne({ id: threadId, deleted: true });
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted thread not found'
+      });
+    }
+
+    const deletedBy = thread.deletedBy;
+    await thread.restore();
+    await refreshCategoryStats(thread.categoryId);
+
+    await recordAudit(req, 'thread.restore', { type: 'thread', id: thread.id }, {
+      before: { deleted: true, deletedBy },
+      after: { deleted: false },
+      metadata: { authorUid: thread.authorUid, categoryId: thread.categoryId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Thread restored successfully',
+      thread
+    });
+  } catch (error) {
+    console.error('Restore thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring thread'
+    });
+  }
+});
+
 // @route   GET /api/forum/threads/:id/posts
 // @desc    Get posts for a thread
 // @access  Public
@@ -191,9 +728,9 @@ router.get('/threads/:id/posts', optionalAuth, async (req, res) => {
       });
     }
 
-    // Verify thread exists
+    // Verify thread exists and its category is visible
     const thread = await Thread.findOne({ id: threadId, deleted: false });
-    if (!thread) {
+    if (!thread || !(await getVisibleCategory(req.user, thread.categoryId))) {
       return res.status(404).json({
         success: false,
         message: 'Thread not found'
@@ -231,7 +768,7 @@ router.get('/threads/:id/posts', optionalAuth, async (req, res) => {
 // @route   POST /api/forum/posts
 // @desc    Create new post
 // @access  Private
-router.post('/posts', authenticateToken, async (req, res) => {
+router.post('/posts', authenticateToken, requirePermission('forum.post.create', 'You are currently restricted from posting replies', { enforceTwoFactor: false }), requireVerifiedEmail('forum.post'), async (req, res) => {
   try {
     const { threadId, content } = req.body;
 
@@ -242,15 +779,23 @@ router.post('/posts', authenticateToken, async (req, res) => {
       });
     }
 
-    // Validate thread exists and is not locked
+    // Validate thread exists, is not locked and the user may reply in its category
     const thread = await Thread.findOne({ id: threadId, deleted: false });
-    if (!thread) {
+    const category = thread ? await getVisibleCategory(req.user, thread.categoryId) : null;
+    if (!thread || !category) {
       return res.status(404).json({
         success: false,
         message: 'Thread not found'
       });
     }
 
+    if (!category.canAccess(req.user, 'reply')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot reply in this category'
+      });
+    }
+
     if (thread.locked && !req.user.isModerator()) {
       return res.status(403).json({
         success: false,
@@ -281,11 +826,8 @@ router.post('/posts', authenticateToken, async (req, res) => {
     await thread.updateLastActivity(req.user.uid);
 
     // Update category stats
-    const category = await Category.findOne({ id: thread.categoryId });
-    if (category) {
-      await category.updatePostCount();
-      await category.updateLastActivity();
-    }
+    await category.updatePostCount();
+    await category.updateLastActivity();
 
     // Update user message count
     await req.user.incrementMessages();
@@ -304,6 +846,283 @@ router.post('/posts', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   PUT /api/forum/threads/:id
+// @desc    Edit a thread's title and/or content, keeping the previous version
+// @access  Private (author within the edit window) or Moderator (forum.post.edit.any)
+router.put('/threads/:id', authenticateToken, async (req, res) => {
+  try {
+    const threadId = parseInt(req.params.id);
+    const { title, content } = req.body;
+
+    if (isNaN(threadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid thread ID'
+      });
+    }
+
+    if ((title !== undefined && !String(title).trim()) || (content !== undefined && !String(content).trim()) || (title === undefined && content === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A non-empty title or content is required'
+      });
+    }
+
+    const thread = await Thread.findOne({ id: threadId, deleted: false });
+    if (!thread || !(await getVisibleCategory(req.user, thread.categoryId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+
+    await attachPermissions(req.user);
+    const denial = getEditDenial(req.user, thread, thread);
+    if (denial) {
+      return res.status(403).json({
+        success: false,
+        message: denial
+      });
+    }
+
+    const newTitle = title !== undefined ? String(title).trim() : thread.title;
+    const newContent = content !== undefined ? String(content).trim() : thread.content;
+    if (newTitle === thread.title && newContent === thread.content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to change'
+      });
+    }
+
+    const revision = await Revision.recordVersion('thread', thread, req.user.uid);
+    await thread.editThread(newTitle, newContent, req.user.uid);
+
+    // Existing mentions are skipped, so only newly added users are notified.
+    // Mentions come from the author even when a moderator made the edit.
+    try {
+      await createMentionsFromContent(newContent, 'thread', thread.id, thread.authorUid, thread.id);
+    } catch (mentionError) {
+      console.error('Mention creation error:', mentionError);
+    }
+
+    if (thread.authorUid !== req.user.uid) {
+      await recordAudit(req, 'thread.edit', { type: 'thread', id: thread.id }, {
+        before: { title: revision.title, content: revision.content },
+        after: { title: thread.title, content: thread.content },
+        metadata: { authorUid: thread.authorUid, revisionId: revision.id }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Thread updated successfully',
+      thread
+    });
+  } catch (error) {
+    console.error('Edit thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while editing thread'
+    });
+  }
+});
+
+// @route   PUT /api/forum/posts/:id
+// @desc    Edit a post, keeping the previous version
+// @access  Private (author within the edit window) or Moderator (forum.post.edit.any)
+router.put('/posts/:id', authenticateToken, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    const { content } = req.body;
+
+    if (isNaN(postId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content is required'
+      });
+    }
+
+    const post = await Post.findOne({ id: postId, deleted: false });
+    const thread = post ? await Thread.findOne({ id: post.threadId, deleted: false }) : null;
+    if (!post || !thread || !(await getVisibleCategory(req.user, thread.categoryId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    await attachPermissions(req.user);
+    const denial = getEditDenial(req.user, post, thread);
+    if (denial) {
+      return res.status(403).json({
+        success: false,
+        message: denial
+      });
+    }
+
+    const newContent = String(content).trim();
+    if (newContent === post.content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to change'
+      });
+    }
+
+    const revision = await Revision.recordVersion('post', post, req.user.uid);
+    await post.editPost(newContent, req.user.uid);
+
+    // Existing mentions are skipped, so only newly added users are notified.
+    // Mentions come from the author even when a moderator made the edit.
+    try {
+      await createMentionsFromContent(newContent, 'post', post.id, post.authorUid, thread.id);
+    } catch (mentionError) {
+      console.error('Mention creation error:', mentionError);
+    }
+
+    if (post.authorUid !== req.user.uid) {
+      await recordAudit(req, 'post.edit', { type: 'post', id: post.id }, {
+        before: { content: revision.content },
+        after: { content: post.content },
+        metadata: { authorUid: post.authorUid, threadId: thread.id, revisionId: revision.id }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Post updated successfully',
+      post
+    });
+  } catch (error) {
+    console.error('Edit post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while editing post'
+    });
+  }
+});
+
+// @route   DELETE /api/forum/posts/:id
+// @desc    Soft-delete a post
+// @access  Private (author) or Moderator (forum.post.delete.any)
+router.delete('/posts/:id', authenticateToken, async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+
+    if (isNaN(postId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid post ID'
+      });
+    }
+
+    const post = await Post.findOne({ id: postId, deleted: false });
+    const thread = post ? await Thread.findOne({ id: post.threadId, deleted: false }) : null;
+    if (!post || !thread || !(await getVisibleCategory(req.user, thread.categoryId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (post.authorUid !== req.user.uid && !req.user.hasPermission('forum.post.delete.any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own posts'
+      });
+    }
+
+    await post.softDelete(req.user.uid);
+    await thread.updateReplyCount();
+    await refreshCategoryStats(thread.categoryId);
+
+    if (post.authorUid !== req.user.uid) {
+      await recordAudit(req, 'post.delete', { type: 'post', id: post.id }, {
+        before: { deleted: false, content: post.content },
+        after: { deleted: true },
+        metadata: { authorUid: post.authorUid, threadId: thread.id }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Post deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting post'
+    });
+  }
+});
+
+// Revision history of a thread or post, visible to its author and moderators
+const getRevisionHistory = (contentType, Model) => async (req, res) => {
+  try {
+    const contentId = parseInt(req.params.id);
+
+    if (isNaN(contentId)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${contentType} ID`
+      });
+    }
+
+    const doc = await Model.findOne({ id: contentId });
+    const isModerator = req.user.isModerator();
+    if (!doc || (doc.deleted && !isModerator)) {
+      return res.status(404).json({
+        success: false,
+        message: `${contentType === 'thread' ? 'Thread' : 'Post'} not found`
+      });
+    }
+
+    if (doc.authorUid !== req.user.uid && !isModerator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author and moderators can view revisions'
+      });
+    }
+
+    const revisions = await Revision.find({ contentType, contentId }).sort({ version: 1 });
+
+    res.json({
+      success: true,
+      current: {
+        version: revisions.length + 1,
+        title: contentType === 'thread' ? doc.title : null,
+        content: doc.content,
+        editedBy: doc.editedBy,
+        editedAt: doc.editedAt
+      },
+      revisions
+    });
+  } catch (error) {
+    console.error(`Get ${contentType} revisions error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions'
+    });
+  }
+};
+
+// @route   GET /api/forum/threads/:id/revisions
+// @desc    Get previous versions of a thread
+// @access  Private (author) or Moderator
+router.get('/threads/:id/revisions', authenticateToken, getRevisionHistory('thread', Thread));
+
+// @route   GET /api/forum/posts/:id/revisions
+// @desc    Get previous versions of a post
+// @access  Private (author) or Moderator
+router.get('/posts/:id/revisions', authenticateToken, getRevisionHistory('post', Post));
+
 // @route   POST /api/forum/posts/:postId/reactions
 // @desc    Add reaction to a post
 // @access  Private
@@ -320,8 +1139,10 @@ router.post('/posts/:postId/reactions', authenticateToken, async (req, res) => {
       });
     }
 
-    const post = await Post.findOne({ id: parseInt(postId) });
-    if (!post) {
+    // Posts in categories the user can't view are reported as missing
+    const post = await Post.findOne({ id: parseInt(postId), deleted: false });
+    const thread = post ? await Thread.findOne({ id: post.threadId, deleted: false }) : null;
+    if (!post || !thread || !(await getVisibleCategory(req.user, thread.categoryId))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -387,8 +1208,10 @@ router.get('/posts/:postId/reactions', optionalAuth, async (req, res) => {
   try {
     const { postId } = req.params;
 
-    const post = await Post.findOne({ id: parseInt(postId) });
-    if (!post) {
+    // Posts in categories the user can't view are reported as missing
+    const post = await Post.findOne({ id: parseInt(postId), deleted: false });
+    const thread = post ? await Thread.findOne({ id: post.threadId, deleted: false }) : null;
+    if (!post || !thread || !(await getVisibleCategory(req.user, thread.categoryId))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -3,7 +3,7 @@ import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
 import User from '../models/User.js';
 import Notification from '../models/Notification.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireVerifiedEmail, requirePermission } from '../middleware/auth.js';
 import rateLimit from 'express-rate-limit';
 
 const router = express.Router();
@@ -119,7 +119,7 @@ router.get('/conversation/:conversationId', authenticateToken, async (req, res)
 // @route   POST /api/messages/send
 // @desc    Send a message
 // @access  Private
-router.post('/send', authenticateToken, messageLimiter, async (req, res) => {
+router.post('/send', authenticateToken, requirePermission('messages.send', 'You are currently restricted from sending messages', { enforceTwoFactor: false }), requireVerifiedEmail('messages.send'), messageLimiter, async (req, res) => {
   try {
     const { recipientUid, content } = req.body;
     const senderUid = req.user.uid;
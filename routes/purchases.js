@@ -2,14 +2,14 @@ import express from 'express';
 import Purchase from '../models/Purchase.js';
 import Software from '../models/Software.js';
 import User from '../models/User.js';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { authenticateToken, requireAdmin, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // @route   POST /api/purchases
 // @desc    Create new purchase
 // @access  Private
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requireVerifiedEmail('purchases'), async (req, res) => {
   try {
     const { softwareId, paymentMethod } = req.body;
 
@@ -0,0 +1,212 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import Report, { REPORT_TARGET_TYPES } from '../models/Report.js';
+import User from '../models/User.js';
+import Thread from '../models/Thread.js';
+import Post from '../models/Post.js';
+import ChatMessage from '../models/ChatMessage.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { getVisibleCategory } from '../utils/forumAccess.js';
+
+const router = express.Router();
+
+// Rate limiting for reports
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // limit each IP to 20 reports per hour
+  message: { success: false, message: 'Too many reports, please try again later.' }
+});
+
+/**
+ * Look up the reported entity and capture what moderators need to see
+ * @param {string} targetType - One of REPORT_TARGET_TYPES
+ * @param {number} targetId - ID of the entity
+ * @param {Object} reporter - Reporting user
+ * @returns {Promise<Object|null>} - { userUid, snapshot } or null if not found / not visible to the reporter
+ */
+const resolveTarget = async (targetType, targetId, reporter) => {
+  switch (targetType) {
+    case 'thread': {
+      const thread = await Thread.findOne({ id: targetId, deleted: false });
+      if (!thread || !(await getVisibleCategory(reporter, thread.categoryId))) return null;
+      return {
+        userUid: thread.authorUid,
+        snapshot: { title: thread.title, content: thread.content, categoryId: thread.categoryId, authorUsername: thread.authorUsername }
+      };
+    }
+    case 'post': {
+      const post = await Post.findOne({ id: targetId, deleted: false });
+      const thread = post ? await Thread.findOne({ id: post.threadId, deleted: false }) : null;
+      if (!thread || !(await getVisibleCategory(reporter, thread.categoryId))) return null;
+      return {
+        userUid: post.authorUid,
+        snapshot: { content: post.content, threadId: post.threadId, authorUsername: post.authorUsername }
+      };
+    }
+    case 'chat_message': {
+      const chatMessage = await ChatMessage.findOne({ id: targetId, deleted: false });
+      return chatMessage && {
+        userUid: chatMessage.userUid,
+        snapshot: { content: chatMessage.content, username: chatMessage.username }
+      };
+    }
+    case 'message': {
+      // Only participants of the conversation may report a private message
+      const message = await Message.findOne({ id: targetId, deleted: false });
+      if (!message) return null;
+      const conversation = await Conversation.findOne({ id: message.conversationId, participants: reporter.uid });
+      return conversation && {
+        userUid: message.senderUid,
+        snapshot: { content: message.content, conversationId: message.conversationId }
+      };
+    }
+    case 'user': {
+      const user = await User.findOne({ uid: targetId });
+      return user && {
+        userUid: user.uid,
+        snapshot: { username: user.username, aboutMe: user.aboutMe, badge: user.badge }
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// @route   POST /api/reports
+// @desc    Report a thread, post, chat message, private message or user
+// @access  Private
+router.post('/', authenticateToken, reportLimiter, async (req, res) => {
+  try {
+    const { targetType, reason, description } = req.body;
+    const targetId = parseInt(req.body.targetId);
+
+    if (!REPORT_TARGET_TYPES.includes(targetType) || isNaN(targetId)) {
+      return res.status(400).json({
+        success: false,
+        message: `targetType must be one of ${REPORT_TARGET_TYPES.join(', ')} and targetId is required`
+      });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Description must be text'
+      });
+    }
+
+    const target = await resolveTarget(targetType, targetId, req.user);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reported content not found'
+      });
+    }
+
+    if (target.userUid === req.user.uid) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report yourself'
+      });
+    }
+
+    const existingReport = await Report.findOne({
+      targetType,
+      targetId,
+      reportedBy: req.user.uid,
+      status: { $in: ['pending', 'claimed'] }
+    });
+    if (existingReport) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this and it is awaiting review'
+      });
+    }
+
+    const report = new Report({
+      targetType,
+      targetId,
+      targetUserUid: target.userUid,
+      targetSnapshot: target.snapshot,
+      reason: reason.trim(),
+      description: description || '',
+      reportedBy: req.user.uid
+    });
+    await report.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted. Thank you for helping keep the community safe.',
+      report: {
+        id: report.id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting report'
+    });
+  }
+});
+
+// @route   GET /api/reports/mine
+// @desc    Get reports submitted by the current user
+// @access  Private
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const query = { reportedBy: req.user.uid };
+
+    const reports = await Report.find(query)
+      .select('-targetSnapshot -claimedBy -reviewedBy')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Report.countDocuments(query);
+
+    res.json({
+      success: true,
+      reports,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get my reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reports'
+    });
+  }
+});
+
+export default router;
@@ -1,9 +1,15 @@
 import express from 'express';
 import Software from '../models/Software.js';
 import { authenticateToken, optionalAuth, requireAdmin } from '../middleware/auth.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
 
 const router = express.Router();
 
+const SOFTWARE_FIELDS = [
+  'name', 'description', 'price', 'currency', 'category', 'version', 'downloadUrl',
+  'imageUrl', 'features', 'requirements', 'compatibility', 'status'
+];
+
 // @route   GET /api/software
 // @desc    Get all software products
 // @access  Public
@@ -150,6 +156,10 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
 
     await software.save();
 
+    await recordAudit(req, 'software.create', { type: 'software', id: software.id }, {
+      after: snapshot(software, SOFTWARE_FIELDS)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Software created successfully',
@@ -211,6 +221,8 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
       status
     } = req.body;
 
+    const before = snapshot(software, SOFTWARE_FIELDS);
+
     // Update fields if provided
     if (name !== undefined) software.name = name.trim();
     if (description !== undefined) software.description = description.trim();
@@ -229,6 +241,11 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
 
     await software.save();
 
+    await recordAudit(req, 'software.update', { type: 'software', id: software.id }, {
+      before,
+      after: snapshot(software, SOFTWARE_FIELDS)
+    });
+
     res.json({
       success: true,
       message: 'Software updated successfully',
@@ -281,9 +298,16 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
     
     if (purchaseCount > 0) {
       // Don't delete if there are purchases, just mark as discontinued
+      const previousStatus = software.status;
       software.status = 'Discontinued';
       software.updatedAt = new Date().toISOString();
       await software.save();
+
+      await recordAudit(req, 'software.discontinue', { type: 'software', id: software.id }, {
+        before: { status: previousStatus },
+        after: { status: software.status },
+        metadata: { purchaseCount }
+      });
       
       return res.json({
         success: true,
@@ -293,6 +317,10 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
 
     await Software.deleteOne({ id });
 
+    await recordAudit(req, 'software.delete', { type: 'software', id }, {
+      before: snapshot(software, SOFTWARE_FIELDS)
+    });
+
     res.json({
       success: true,
       message: 'Software deleted successfully'
@@ -5,7 +5,8 @@ import Product from '../models/Product.js';
 import UserRole from '../models/UserRole.js';
 import Role from '../models/Role.js';
 import Notification from '../models/Notification.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { invalidatePermissionCache } from '../utils/permissions.js';
+import { authenticateToken, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -21,7 +22,7 @@ if (process.env.STRIPE_SECRET_KEY && process.env.STRIPE_SECRET_KEY !== 'sk_test_
 // @route   POST /api/stripe/create-checkout-session
 // @desc    Create Stripe checkout session
 // @access  Private
-router.post('/create-checkout-session', authenticateToken, async (req, res) => {
+router.post('/create-checkout-session', authenticateToken, requireVerifiedEmail('purchases'), async (req, res) => {
   try {
     if (!stripe) {
       return res.status(503).json({
@@ -213,10 +214,12 @@ async function handleCheckoutSessionCompleted(session) {
         userUid: purchase.userId,
         roleId: role.id,
         assignedBy: purchase.userId,
-        expiresAt
+        expiresAt,
+        metadata: { source: 'purchase', purchaseId: purchase.id }
       });
       
       await userRole.save();
+      invalidatePermissionCache(purchase.userId);
       
       // Update purchase with expiry
       purchase.expiresAt = expiresAt;
@@ -4,6 +4,7 @@ import UserRole from '../models/UserRole.js';
 import Role from '../models/Role.js';
 import Product from '../models/Product.js';
 import Notification from '../models/Notification.js';
+import { invalidatePermissionCache } from '../utils/permissions.js';
 import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -208,10 +209,12 @@ router.post('/redeem', authenticateToken, async (req, res) => {
         userUid,
         roleId: role.id,
         assignedBy: userUid,
-        expiresAt: expiresAt.toISOString()
+        expiresAt: expiresAt.toISOString(),
+        metadata: { source: 'token_redemption', redemptionId }
       });
       
       await userRole.save();
+      invalidatePermissionCache(userUid);
       
       // Create notification
       await Notification.createNotification(
@@ -1,6 +1,14 @@
 import express from 'express';
 import User from '../models/User.js';
-import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import InvitationCode from '../models/InvitationCode.js';
+import LoginHistory from '../models/LoginHistory.js';
+import Session from '../models/Session.js';
+import { authenticateToken, optionalAuth, getClientIP } from '../middleware/auth.js';
+import { sendEmailVerification } from '../utils/emailVerification.js';
+import { resolvePermissions } from '../utils/permissions.js';
+import { getActiveWarnings, getActiveSanctions } from '../utils/warnings.js';
+import { mintPersonalInviteCode } from '../utils/invitations.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
 
 const router = express.Router();
 
@@ -42,6 +50,272 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/users/me/security
+// @desc    Get the current user's security overview (logins, devices, sessions)
+// @access  Private
+router.get('/me/security', authenticateToken, async (req, res) => {
+  try {
+    const userUid = req.user.uid;
+
+    const recentLogins = await LoginHistory.find({ userUid })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    // Every IP/user agent pair that has successfully signed in
+    const knownDevices = await LoginHistory.aggregate([
+      { $match: { userUid, success: true } },
+      {
+        $group: {
+          _id: { ipAddress: '$ipAddress', userAgent: '$userAgent' },
+          firstSeen: { $min: '$createdAt' },
+          lastSeen: { $max: '$createdAt' },
+          logins: { $sum: 1 }
+        }
+      },
+      { $sort: { lastSeen: -1 } },
+      { $limit: 50 }
+    ]);
+
+    const activeSessions = await Session.countDocuments({
+      userUid,
+      revoked: false,
+      expiresAt: { $gt: new Date().toISOString() }
+    });
+
+    const failedLoginsLast24h = await LoginHistory.countDocuments({
+      userUid,
+      success: false,
+      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() }
+    });
+
+    res.json({
+      success: true,
+      security: {
+        emailVerified: req.user.emailVerified,
+        twoFactorEnabled: Boolean(req.user.twoFactor?.enabled),
+        recoveryCodesRemaining: req.user.twoFactor?.recoveryCodes?.length || 0,
+        activeSessions,
+        failedLoginsLast24h,
+        recentLogins,
+        knownDevices: knownDevices.map(device => ({
+          ipAddress: device._id.ipAddress,
+          userAgent: device._id.userAgent,
+          firstSeen: device.firstSeen,
+          lastSeen: device.lastSeen,
+          logins: device.logins
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get security overview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching security overview'
+    });
+  }
+});
+
+// @route   GET /api/users/me/permissions
+// @desc    Get the current user's effective permissions
+// @access  Private
+router.get('/me/permissions', authenticateToken, async (req, res) => {
+  try {
+    const permissions = await resolvePermissions(req.user);
+
+    res.json({
+      success: true,
+      badge: req.user.badge,
+      permissions
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching permissions'
+    });
+  }
+});
+
+// @route   GET /api/users/me/login-history
+// @desc    Get the current user's login attempts
+// @access  Private
+router.get('/me/login-history', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { userUid: req.user.uid };
+
+    const entries = await LoginHistory.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await LoginHistory.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      logins: entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching login history'
+    });
+  }
+});
+
+// @route   GET /api/users/me/warnings
+// @desc    Get current user's active warnings, points and sanctions
+// @access  Private
+router.get('/me/warnings', authenticateToken, async (req, res) => {
+  try {
+    const { warnings, points } = await getActiveWarnings(req.user.uid);
+    const sanctions = await getActiveSanctions(req.user.uid);
+
+    res.json({
+      success: true,
+      points,
+      warnings: warnings.map(warning => ({
+        id: warning.id,
+        reason: warning.reason,
+        points: warning.points,
+        createdAt: warning.createdAt,
+        expiresAt: warning.expiresAt,
+        sanctions: warning.sanctions.map(({ action, expiresAt }) => ({ action, expiresAt }))
+      })),
+      sanctions
+    });
+  } catch (error) {
+    console.error('Get my warnings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching warnings'
+    });
+  }
+});
+
+// @route   POST /api/users/me/inventory/:itemId/use
+// @desc    Use an invite item to create a personal single-use invitation code
+// @access  Private
+router.post('/me/inventory/:itemId/use', authenticateToken, async (req, res) => {
+  try {
+    // Not parseInt: items from older invite waves have fractional ids
+    const itemId = Number(req.params.itemId);
+
+    if (!Number.isFinite(itemId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid item ID'
+      });
+    }
+
+    const result = await mintPersonalInviteCode(req.user, itemId);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation code created',
+      code: {
+        code: result.code.code,
+        expiresAt: result.code.expiresAt,
+        createdAt: result.code.createdAt
+      },
+      inventory: req.user.inventory
+    });
+  } catch (error) {
+    console.error('Use inventory item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while using inventory item'
+    });
+  }
+});
+
+// @route   GET /api/users/me/invitation-codes
+// @desc    Get invitation codes the current user has generated and who redeemed them
+// @access  Private
+router.get('/me/invitation-codes', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { createdBy: req.user.uid };
+
+    const codes = await InvitationCode.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await InvitationCode.countDocuments(query);
+
+    // Codes redeemed before redemptions were recorded only remember usedBy
+    const redeemerUids = new Set();
+    codes.forEach(code => {
+      code.redemptions.forEach(redemption => redeemerUids.add(redemption.userUid));
+      if (code.usedBy) redeemerUids.add(code.usedBy);
+    });
+    const redeemers = await User.find({ uid: { $in: [...redeemerUids] } }).select('uid username');
+    const usernames = new Map(redeemers.map(user => [user.uid, user.username]));
+
+    const now = new Date();
+
+    res.json({
+      success: true,
+      codes: codes.map(code => {
+        const redemptions = code.redemptions.length > 0
+          ? code.redemptions
+          : (code.usedBy ? [{ userUid: code.usedBy, redeemedAt: code.usedAt }] : []);
+
+        return {
+          code: code.code,
+          createdAt: code.createdAt,
+          expiresAt: code.expiresAt,
+          maxUses: code.maxUses,
+          currentUses: code.currentUses,
+          redeemed: code.currentUses > 0,
+          revoked: code.revoked,
+          expired: !code.used && now >= new Date(code.expiresAt),
+          redemptions: redemptions.map(redemption => ({
+            userUid: redemption.userUid,
+            username: usernames.get(redemption.userUid) || null,
+            redeemedAt: redemption.redeemedAt
+          }))
+        };
+      }),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get my invitation codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation codes'
+    });
+  }
+});
+
 // @route   GET /api/users/:uid
 // @desc    Get user by UID
 // @access  Public
@@ -117,9 +391,26 @@ router.get('/:uid/profile', optionalAuth, async (req, res) => {
       });
     }
 
+    const profile = user.toJSON();
+
+    // Warnings are only visible to the user themselves and to moderators
+    if (req.user && (req.user.uid === uid || req.user.isModerator())) {
+      const { warnings, points } = await getActiveWarnings(uid);
+      profile.warnings = {
+        points,
+        active: warnings.map(warning => ({
+          id: warning.id,
+          reason: warning.reason,
+          points: warning.points,
+          createdAt: warning.createdAt,
+          expiresAt: warning.expiresAt
+        }))
+      };
+    }
+
     res.json({
       success: true,
-      user: user.toJSON()
+      user: profile
     });
   } catch (error) {
     console.error('Get user profile error:', error);
@@ -130,6 +421,62 @@ router.get('/:uid/profile', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:uid/invitees
+// @desc    Get the users a user has invited
+// @access  Private
+router.get('/:uid/invitees', authenticateToken, async (req, res) => {
+  try {
+    const uid = parseInt(req.params.uid);
+    
+    if (isNaN(uid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // Banned invitees are only shown to the inviter and to moderators
+    const canSeeBanned = req.user.uid === uid || req.user.isModerator();
+    const query = canSeeBanned ? { invitedBy: uid } : { invitedBy: uid, banned: false };
+
+    const invitees = await User.find(query)
+      .select('uid username badge joinDate banned')
+      .sort({ joinDate: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      invitees: invitees.map(invitee => ({
+        uid: invitee.uid,
+        username: invitee.username,
+        badge: invitee.badge,
+        joinDate: invitee.joinDate,
+        ...(canSeeBanned ? { banned: invitee.banned } : {})
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get invitees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitees'
+    });
+  }
+});
+
 // @route   GET /api/users/:uid/inventory
 // @desc    Get user inventory
 // @access  Private (own inventory) or Admin
@@ -215,10 +562,31 @@ router.patch('/:uid', authenticateToken, async (req, res) => {
       }
     });
 
+    // A new address has to be verified again
+    const emailChanged = updates.email !== undefined && updates.email.toLowerCase() !== user.email;
+
+    const before = snapshot(user, allowedUpdates);
+
     // Update user
     Object.assign(user, updates);
+    if (emailChanged) {
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
     await user.save();
 
+    // Staff editing someone else's profile is audited; own edits are not
+    if (req.user.uid !== uid) {
+      await recordAudit(req, 'user.profile_update', { type: 'user', id: uid }, {
+        before,
+        after: snapshot(user, allowedUpdates)
+      });
+    }
+
+    if (emailChanged) {
+      await sendEmailVerification(user, getClientIP(req));
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
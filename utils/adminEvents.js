@@ -0,0 +1,370 @@
+import AdminEvent from '../models/AdminEvent.js';
+import EventExecution from '../models/EventExecution.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import UserRole from '../models/UserRole.js';
+import TokenWallet from '../models/TokenWallet.js';
+import Notification from '../models/Notification.js';
+import { attachPermissions, invalidatePermissionCache, validateRolePermissions } from './permissions.js';
+
+const VALID_BADGES = ['Owner', 'Admin', 'Moderator', 'Support', 'Premium', 'Known', 'Member'];
+
+// A run that has been 'running' this long is assumed to have crashed
+const STALE_RUN_MS = 30 * 60 * 1000;
+
+const MAX_TOKEN_DROP = 10000;
+
+// The built-in invite wave behind POST /api/admin/events/invite-wave
+export const INVITE_WAVE_EVENT = {
+  key: 'invite-wave',
+  name: 'Invite Wave',
+  description: 'Give all users an invite that lasts 2 months',
+  type: 'invite_wave',
+  params: { amount: 1, itemExpiresInDays: 60 }
+};
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Validate and normalise an event's type-specific params
+ * @param {string} type - Event type
+ * @param {Object} params - Raw params from the request
+ * @param {Object} actor - Admin creating or editing the event (permissions attached)
+ * @returns {Promise<{params: Object}|{error: string}>}
+ */
+export async function validateEventParams(type, params = {}, actor) {
+  switch (type) {
+    case 'invite_wave': {
+      const itemExpiresInDays = params.itemExpiresInDays === undefined ? 60 : parseFloat(params.itemExpiresInDays);
+      if (isNaN(itemExpiresInDays) || itemExpiresInDays <= 0) {
+        return { error: 'itemExpiresInDays must be a positive number' };
+      }
+      const amount = params.amount === undefined ? 1 : parseInt(params.amount);
+      if (isNaN(amount) || amount < 1 || amount > 10) {
+        return { error: 'amount must be between 1 and 10 invites' };
+      }
+      return { params: { amount, itemExpiresInDays } };
+    }
+    case 'token_drop': {
+      const amount = parseInt(params.amount);
+      if (isNaN(amount) || amount < 1 || amount > MAX_TOKEN_DROP) {
+        return { error: `amount must be between 1 and ${MAX_TOKEN_DROP} Desync$` };
+      }
+      return { params: { amount } };
+    }
+    case 'role_grant': {
+      const role = await Role.findOne({ id: parseInt(params.roleId), active: true });
+      if (!role) {
+        return { error: 'roleId must be an active role' };
+      }
+      // Same rule as granting the role directly
+      const permissionError = validateRolePermissions(role.permissions, actor);
+      if (permissionError) {
+        return { error: permissionError };
+      }
+      let roleDurationDays = null;
+      if (params.roleDurationDays !== undefined && params.roleDurationDays !== null) {
+        roleDurationDays = parseFloat(params.roleDurationDays);
+        if (isNaN(roleDurationDays) || roleDurationDays <= 0) {
+          return { error: 'roleDurationDays must be a positive number' };
+        }
+      }
+      return { params: { roleId: role.id, roleDurationDays } };
+    }
+    case 'announcement': {
+      if (!params.title || !params.title.trim() || !params.message || !params.message.trim()) {
+        return { error: 'title and message are required' };
+      }
+      return { params: { title: params.title.trim().substring(0, 100), message: params.message.trim().substring(0, 500) } };
+    }
+    default:
+      return { error: 'Unknown event type' };
+  }
+}
+
+/**
+ * Validate and normalise an event's target filter
+ * @param {Object} filter - Raw filter from the request
+ * @returns {{targetFilter: Object}|{error: string}}
+ */
+export function validateTargetFilter(filter = {}) {
+  const badges = Array.isArray(filter.badges) ? [...new Set(filter.badges)] : [];
+  if (badges.some(badge => !VALID_BADGES.includes(badge))) {
+    return { error: 'targetFilter.badges must only contain valid badges: ' + VALID_BADGES.join(', ') };
+  }
+
+  const roleIds = Array.isArray(filter.roleIds) ? [...new Set(filter.roleIds.map(id => parseInt(id)))] : [];
+  if (roleIds.some(id => isNaN(id))) {
+    return { error: 'targetFilter.roleIds must be role IDs' };
+  }
+
+  return { targetFilter: { badges, roleIds, includeBanned: Boolean(filter.includeBanned) } };
+}
+
+// Users matching an event's target filter
+async function findTargetUsers(targetFilter) {
+  const query = {};
+  if (!targetFilter.includeBanned) {
+    query.banned = false;
+  }
+  if (targetFilter.badges && targetFilter.badges.length > 0) {
+    query.badge = { $in: targetFilter.badges };
+  }
+  if (targetFilter.roleIds && targetFilter.roleIds.length > 0) {
+    const userRoles = await UserRole.find({ roleId: { $in: targetFilter.roleIds }, active: true });
+    query.uid = { $in: [...new Set(userRoles.filter(ur => ur.isValid()).map(ur => ur.userUid))] };
+  }
+
+  return User.find(query);
+}
+
+// Per-user work for each event type
+const EVENT_HANDLERS = {
+  invite_wave: async (event, user) => {
+    const expiresAt = daysFromNow(event.params.itemExpiresInDays);
+    for (let i = 0; i < event.params.amount; i++) {
+      await user.addInventoryItem(
+        'Forum Invite',
+        'invite',
+        'Invite a friend to join the forum community',
+        expiresAt
+      );
+    }
+  },
+
+  token_drop: async (event, user, execution) => {
+    let wallet = await TokenWallet.findOne({ userUid: user.uid });
+    if (!wallet) {
+      wallet = new TokenWallet({ userUid: user.uid });
+    }
+    await wallet.addTokens(event.params.amount, `Event: ${event.name}`, execution.id);
+
+    await Notification.createNotification(
+      user.uid,
+      'token_reward',
+      event.name,
+      `You received ${event.params.amount} Desync$!`,
+      { eventId: event.id, amount: event.params.amount },
+      event.id
+    );
+  },
+
+  role_grant: async (event, user, execution) => {
+    const userRole = new UserRole({
+      userUid: user.uid,
+      roleId: event.params.roleId,
+      // Whoever ran the event; scheduled runs act for its creator
+      assignedBy: execution.triggeredBy !== null ? execution.triggeredBy : event.createdBy,
+      expiresAt: event.params.roleDurationDays ? daysFromNow(event.params.roleDurationDays) : null,
+      metadata: { source: 'event', eventId: event.id }
+    });
+    await userRole.save();
+    invalidatePermissionCache(user.uid);
+
+    await Notification.createNotification(
+      user.uid,
+      'system',
+      event.name,
+      event.description || 'You have been granted a new role.',
+      { eventId: event.id, roleId: event.params.roleId },
+      event.id
+    );
+  },
+
+  announcement: async (event, user) => {
+    await Notification.createNotification(
+      user.uid,
+      'system',
+      event.params.title,
+      event.params.message,
+      { eventId: event.id },
+      event.id
+    );
+  }
+};
+
+// Check that whoever runs a role grant may still hand out the role; scheduled
+// runs act on behalf of the event's creator. Returns an error message or null.
+async function checkRoleGrant(event, triggeredBy) {
+  const role = await Role.findOne({ id: event.params.roleId, active: true });
+  if (!role) {
+    return 'The role granted by this event no longer exists';
+  }
+
+  const actor = await User.findOne({ uid: triggeredBy !== null ? triggeredBy : event.createdBy });
+  if (!actor) {
+    return 'The admin who created this event no longer exists';
+  }
+  await attachPermissions(actor);
+
+  return validateRolePermissions(role.permissions, actor);
+}
+
+/**
+ * Get a built-in event by key, creating it as a draft the first time
+ * @param {Object} definition - e.g. INVITE_WAVE_EVENT
+ * @param {number} createdBy - UID of the admin, used only when creating it
+ * @returns {Promise<Object>} - AdminEvent document
+ */
+export async function getBuiltInEvent(definition, createdBy) {
+  const existing = await AdminEvent.findOne({ key: definition.key });
+  if (existing) return existing;
+
+  try {
+    const event = new AdminEvent({ ...definition, createdBy });
+    await event.save();
+    return event;
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return AdminEvent.findOne({ key: definition.key });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run an event. The event is claimed atomically, so a second click, a
+ * second admin or a second server can't run it at the same time, and an
+ * event that already completed only runs again when allowRerun is set.
+ * A run that crashed is resumed, skipping users it already handled.
+ * @param {number} eventId - Event ID
+ * @param {Object} options
+ * @param {number|null} options.triggeredBy - UID of the admin, or null for scheduled runs
+ * @param {string} options.trigger - 'manual' or 'scheduled'
+ * @param {boolean} options.allowRerun - Allow running an event that already completed
+ * @returns {Promise<{execution: Object, event: Object}|{error: string}>}
+ */
+export async function executeEvent(eventId, { triggeredBy = null, trigger = 'manual', allowRerun = false } = {}) {
+  const pending = await AdminEvent.findOne({ id: eventId });
+  if (pending && pending.type === 'role_grant') {
+    const grantError = await checkRoleGrant(pending, triggeredBy);
+    if (grantError) {
+      // Stop the scheduler from retrying a grant that will never be allowed
+      if (trigger === 'scheduled') {
+        await AdminEvent.updateOne({ id: eventId, status: 'scheduled' }, { $set: { status: 'failed' } });
+        console.error(`❌ Event ${eventId} not run: ${grantError}`);
+      }
+      return { error: grantError, status: 403 };
+    }
+  }
+
+  const now = new Date();
+  const runnableStatuses = ['draft', 'scheduled', 'failed'];
+  if (allowRerun) {
+    runnableStatuses.push('completed');
+  }
+
+  const event = await AdminEvent.findOneAndUpdate(
+    {
+      id: eventId,
+      $or: [
+        { status: { $in: runnableStatuses } },
+        { status: 'running', runStartedAt: { $lte: new Date(now.getTime() - STALE_RUN_MS).toISOString() } }
+      ]
+    },
+    { $set: { status: 'running', runStartedAt: now.toISOString() } },
+    { new: true }
+  );
+
+  if (!event) {
+    const existing = await AdminEvent.findOne({ id: eventId });
+    if (!existing) return { error: 'Event not found', status: 404 };
+    if (existing.status === 'running') return { error: 'Event is already running', status: 409 };
+    if (existing.status === 'completed') return { error: 'Event has already run. Confirm the rerun to run it again.', status: 409 };
+    return { error: `Event is ${existing.status}`, status: 400 };
+  }
+
+  // Only a crashed run is left 'running' once the event has been claimed
+  let execution = await EventExecution.findOne({ eventId: event.id, status: 'running' })
+    .select('+processedUids')
+    .sort({ id: -1 });
+  if (execution) {
+    execution.resumedAt = now.toISOString();
+  } else {
+    execution = new EventExecution({
+      eventId: event.id,
+      eventType: event.type,
+      trigger,
+      triggeredBy,
+      params: { params: event.params, targetFilter: event.targetFilter }
+    });
+  }
+  await execution.save();
+  const processed = new Set(execution.processedUids);
+
+  try {
+    const users = await findTargetUsers(event.targetFilter);
+    execution.targetedUsers = users.length;
+
+    for (const user of users) {
+      if (processed.has(user.uid)) continue;
+
+      try {
+        await EVENT_HANDLERS[event.type](event, user, execution);
+        execution.affectedUsers += 1;
+      } catch (userError) {
+        execution.failedUsers += 1;
+        console.error(`Event ${event.id} failed for user ${user.uid}:`, userError);
+      }
+
+      await EventExecution.updateOne(
+        { id: execution.id },
+        {
+          $push: { processedUids: user.uid },
+          $set: { affectedUsers: execution.affectedUsers, failedUsers: execution.failedUsers }
+        }
+      );
+    }
+
+    execution.status = 'completed';
+    event.status = 'completed';
+  } catch (error) {
+    console.error(`❌ Event ${event.id} failed:`, error);
+    execution.status = 'failed';
+    execution.error = error.message;
+    event.status = 'failed';
+  }
+
+  execution.finishedAt = new Date().toISOString();
+  await execution.save();
+
+  event.runStartedAt = null;
+  event.lastExecutedAt = execution.finishedAt;
+  event.executionCount += 1;
+  await event.save();
+
+  console.log(`✅ Event ${event.name} (${event.type}) ${execution.status}: ${execution.affectedUsers}/${execution.targetedUsers} users`);
+
+  return { execution, event };
+}
+
+/**
+ * Run scheduled events whose time has come
+ * @returns {Promise<Object>} - { ran }
+ */
+export async function runScheduledEvents() {
+  const due = await AdminEvent.find({
+    status: 'scheduled',
+    scheduledFor: { $ne: null, $lte: new Date().toISOString() }
+  }).sort({ scheduledFor: 1 });
+
+  let ran = 0;
+  for (const event of due) {
+    const result = await executeEvent(event.id, { trigger: 'scheduled' });
+    if (!result.error) {
+      ran += 1;
+    }
+  }
+
+  return { ran };
+}
+
+export default {
+  INVITE_WAVE_EVENT,
+  getBuiltInEvent,
+  validateEventParams,
+  validateTargetFilter,
+  executeEvent,
+  runScheduledEvents
+};
@@ -0,0 +1,207 @@
+import User from '../models/User.js';
+import Thread from '../models/Thread.js';
+import Post from '../models/Post.js';
+import ChatMessage from '../models/ChatMessage.js';
+import Message from '../models/Message.js';
+import TokenWallet from '../models/TokenWallet.js';
+import Purchase from '../models/Purchase.js';
+import InvitationCode from '../models/InvitationCode.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_RANGE_DAYS = 366;
+
+// Dates are stored as ISO strings, so the first 10 characters are the UTC day
+const DAY_OF = (field) => ({ $substrBytes: [`$${field}`, 0, 10] });
+
+/**
+ * Parse a ?from=&to= date range into whole UTC days (defaults to the last 30 days)
+ * @param {string} from - Start date (inclusive)
+ * @param {string} to - End date (inclusive)
+ * @returns {{range: Object}|{error: string}} - range: { start, end, days }
+ */
+export function parseDateRange(from, to) {
+  const today = new Date(new Date().toISOString().substring(0, 10));
+  const endDay = to ? new Date(String(to).substring(0, 10)) : today;
+  const startDay = from ? new Date(String(from).substring(0, 10)) : new Date(endDay.getTime() - 29 * DAY_MS);
+
+  if (isNaN(startDay.getTime()) || isNaN(endDay.getTime())) {
+    return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  if (startDay > endDay) {
+    return { error: 'from must be before to' };
+  }
+
+  const dayCount = Math.round((endDay - startDay) / DAY_MS) + 1;
+  if (dayCount > MAX_RANGE_DAYS) {
+    return { error: `Range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  const days = [];
+  for (let i = 0; i < dayCount; i++) {
+    days.push(new Date(startDay.getTime() + i * DAY_MS).toISOString().substring(0, 10));
+  }
+
+  return {
+    range: {
+      start: startDay.toISOString(),
+      end: new Date(endDay.getTime() + DAY_MS).toISOString(), // exclusive
+      days
+    }
+  };
+}
+
+// Spread aggregation results over every day in the range, filling gaps with zero
+const fillDays = (days, rows, valueKey = 'count') => {
+  const byDay = new Map(rows.map(row => [row._id, row[valueKey]]));
+  return days.map(date => ({ date, value: byDay.get(date) || 0 }));
+};
+
+// Count documents per day on an ISO date field
+async function dailyCounts(Model, field, range, match = {}) {
+  const rows = await Model.aggregate([
+    { $match: { ...match, [field]: { $gte: range.start, $lt: range.end } } },
+    { $group: { _id: DAY_OF(field), count: { $sum: 1 } } }
+  ]);
+  return fillDays(range.days, rows);
+}
+
+// Daily token earnings and spends from wallet transactions
+async function dailyTokenFlow(range) {
+  const rows = await TokenWallet.aggregate([
+    { $match: { 'transactions.createdAt': { $gte: range.start, $lt: range.end } } },
+    { $unwind: '$transactions' },
+    { $match: { 'transactions.createdAt': { $gte: range.start, $lt: range.end } } },
+    {
+      $group: {
+        _id: { day: DAY_OF('transactions.createdAt'), type: '$transactions.type' },
+        amount: { $sum: '$transactions.amount' }
+      }
+    }
+  ]);
+
+  const sumFor = (types) => {
+    const totals = new Map();
+    rows.filter(row => types.includes(row._id.type)).forEach(row => {
+      totals.set(row._id.day, (totals.get(row._id.day) || 0) + row.amount);
+    });
+    return range.days.map(date => ({ date, value: totals.get(date) || 0 }));
+  };
+
+  return {
+    earned: sumFor(['earn', 'admin_add']),
+    spent: sumFor(['spend', 'admin_remove'])
+  };
+}
+
+// Daily completed-purchase revenue, split by product and currency
+async function dailyRevenue(range) {
+  const rows = await Purchase.aggregate([
+    {
+      $match: {
+        status: 'Completed',
+        $or: [
+          { completedAt: { $gte: range.start, $lt: range.end } },
+          { completedAt: null, purchaseDate: { $gte: range.start, $lt: range.end } }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: {
+          day: { $substrBytes: [{ $ifNull: ['$completedAt', '$purchaseDate'] }, 0, 10] },
+          product: { $ifNull: ['$productSlug', { $concat: ['software-', { $toString: '$softwareId' }] }] },
+          currency: '$currency'
+        },
+        amount: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const products = new Map();
+  for (const row of rows) {
+    const key = `${row._id.product}:${row._id.currency}`;
+    if (!products.has(key)) {
+      products.set(key, { product: row._id.product, currency: row._id.currency, byDay: new Map(), total: 0, purchases: 0 });
+    }
+    const product = products.get(key);
+    product.byDay.set(row._id.day, (product.byDay.get(row._id.day) || 0) + row.amount);
+    product.total += row.amount;
+    product.purchases += row.count;
+  }
+
+  return [...products.values()].map(product => ({
+    product: product.product,
+    currency: product.currency,
+    total: Math.round(product.total * 100) / 100,
+    purchases: product.purchases,
+    series: range.days.map(date => ({ date, value: Math.round((product.byDay.get(date) || 0) * 100) / 100 }))
+  }));
+}
+
+// Daily invite code redemptions. Multi-use codes are counted once per use;
+// codes redeemed before redemptions were recorded only have usedAt.
+async function dailyInviteRedemptions(range) {
+  const inRange = { $gte: range.start, $lt: range.end };
+  const rows = await InvitationCode.aggregate([
+    {
+      $match: {
+        $or: [
+          { 'redemptions.redeemedAt': inRange },
+          { 'redemptions.0': { $exists: false }, usedAt: inRange }
+        ]
+      }
+    },
+    {
+      $project: {
+        redeemedAt: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$redemptions', []] } }, 0] },
+            '$redemptions.redeemedAt',
+            ['$usedAt']
+          ]
+        }
+      }
+    },
+    { $unwind: '$redeemedAt' },
+    { $match: { redeemedAt: inRange } },
+    { $group: { _id: DAY_OF('redeemedAt'), count: { $sum: 1 } } }
+  ]);
+  return fillDays(range.days, rows);
+}
+
+/**
+ * Build every dashboard time series for a date range
+ * @param {Object} range - From parseDateRange
+ * @returns {Promise<Object>}
+ */
+export async function buildTimeseries(range) {
+  const [registrations, threads, posts, chatMessages, directMessages, tokens, revenue, inviteCodesUsed] = await Promise.all([
+    dailyCounts(User, 'joinDate', range),
+    dailyCounts(Thread, 'createdAt', range),
+    dailyCounts(Post, 'createdAt', range),
+    dailyCounts(ChatMessage, 'createdAt', range),
+    dailyCounts(Message, 'createdAt', range),
+    dailyTokenFlow(range),
+    dailyRevenue(range),
+    dailyInviteRedemptions(range)
+  ]);
+
+  return {
+    registrations,
+    threads,
+    posts,
+    chatMessages,
+    directMessages,
+    tokensEarned: tokens.earned,
+    tokensSpent: tokens.spent,
+    revenue,
+    inviteCodesUsed
+  };
+}
+
+export default {
+  MAX_RANGE_DAYS,
+  parseDateRange,
+  buildTimeseries
+};
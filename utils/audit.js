@@ -0,0 +1,50 @@
+import AuditLog from '../models/AuditLog.js';
+import { getClientIP } from '../middleware/auth.js';
+
+/**
+ * Record a privileged action in the audit log. Failures are logged and
+ * swallowed so a broken audit write never undoes the action itself.
+ * @param {Object|null} req - Express request of the acting user (null for system jobs)
+ * @param {string} action - Dotted action name, e.g. 'role.create', 'user.ban'
+ * @param {Object} target - { type, id } of the affected entity
+ * @param {Object} changes - { before, after, metadata }
+ * @returns {Promise<Object|null>} - Created entry, or null if it couldn't be written
+ */
+export async function recordAudit(req, action, target, { before = null, after = null, metadata = {} } = {}) {
+  try {
+    return await AuditLog.create({
+      actorUid: req && req.user ? req.user.uid : null,
+      actorUsername: req && req.user ? req.user.username : 'system',
+      action,
+      targetType: target.type,
+      targetId: target.id !== undefined && target.id !== null ? String(target.id) : null,
+      before,
+      after,
+      metadata,
+      ipAddress: req ? getClientIP(req) : null
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+    return null;
+  }
+}
+
+/**
+ * Pick fields from a document for before/after snapshots
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object|null}
+ */
+export function snapshot(doc, fields) {
+  if (!doc) return null;
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return fields.reduce((acc, field) => {
+    acc[field] = source[field] === undefined ? null : source[field];
+    return acc;
+  }, {});
+}
+
+export default {
+  recordAudit,
+  snapshot
+};
@@ -0,0 +1,116 @@
+import Ban from '../models/Ban.js';
+import User from '../models/User.js';
+
+/**
+ * Ban a user, recording the ban in their history. An existing ban is
+ * superseded by the new one.
+ * @param {Object} user - User document
+ * @param {Object} options
+ * @param {string} options.reason - Why the user is banned
+ * @param {number|null} options.bannedBy - UID of the issuing staff member (null for automatic bans)
+ * @param {string|null} options.expiresAt - ISO date the ban lifts itself, or null for permanent
+ * @returns {Promise<Object>} - Created Ban record
+ */
+export async function issueBan(user, { reason, bannedBy = null, expiresAt = null }) {
+  await Ban.updateMany(
+    { userUid: user.uid, active: true },
+    { $set: { active: false, liftedAt: new Date().toISOString(), liftedBy: bannedBy, liftReason: 'superseded' } }
+  );
+
+  const ban = await Ban.create({
+    userUid: user.uid,
+    reason,
+    bannedBy,
+    expiresAt
+  });
+
+  await user.banUser(reason, bannedBy, expiresAt);
+  return ban;
+}
+
+/**
+ * Lift a user's ban and close their active ban record
+ * @param {Object} user - User document
+ * @param {Object} options
+ * @param {number|null} options.liftedBy - UID of the staff member lifting it (null when it expired)
+ * @param {string} options.reason - 'expired', 'unbanned' or 'appeal_approved'
+ * @returns {Promise<Object|null>} - Closed Ban record, if there was one
+ */
+export async function liftBan(user, { liftedBy = null, reason = 'unbanned' } = {}) {
+  const ban = await Ban.findOneAndUpdate(
+    { userUid: user.uid, active: true },
+    { $set: { active: false, liftedAt: new Date().toISOString(), liftedBy, liftReason: reason } },
+    { new: true, sort: { createdAt: -1 } }
+  );
+
+  await user.unbanUser();
+  return ban;
+}
+
+/**
+ * Lift the user's ban if it has run out
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} - True if the ban was lifted
+ */
+export async function liftBanIfExpired(user) {
+  if (!user.isBanExpired()) {
+    return false;
+  }
+
+  await liftBan(user, { reason: 'expired' });
+  console.log(`🔓 Temporary ban for user ${user.uid} expired`);
+  return true;
+}
+
+/**
+ * Lift every temporary ban that has run out
+ * @returns {Promise<Object>} - { lifted }
+ */
+export async function liftExpiredBans() {
+  const users = await User.find({
+    banned: true,
+    banExpiresAt: { $ne: null, $lte: new Date().toISOString() }
+  });
+
+  let lifted = 0;
+  for (const user of users) {
+    if (await liftBanIfExpired(user)) {
+      lifted += 1;
+    }
+  }
+
+  return { lifted };
+}
+
+/**
+ * Get the active ban record for a banned user. Bans issued before ban
+ * history existed get a record created from the user's ban fields.
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} - Ban record, or null if the user isn't banned
+ */
+export async function getActiveBan(user) {
+  if (!user.banned) {
+    return null;
+  }
+
+  const ban = await Ban.findOne({ userUid: user.uid, active: true }).sort({ createdAt: -1 });
+  if (ban) {
+    return ban;
+  }
+
+  return Ban.create({
+    userUid: user.uid,
+    reason: user.banReason || 'No reason recorded',
+    bannedBy: user.bannedBy,
+    createdAt: user.bannedAt || new Date().toISOString(),
+    expiresAt: user.banExpiresAt
+  });
+}
+
+export default {
+  issueBan,
+  liftBan,
+  liftBanIfExpired,
+  liftExpiredBans,
+  getActiveBan
+};
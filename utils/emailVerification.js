@@ -0,0 +1,26 @@
+import UserToken from '../models/UserToken.js';
+import { sendVerificationEmail } from './mailer.js';
+
+export const EMAIL_VERIFICATION_TTL_HOURS = 48;
+
+/**
+ * Issue a verification token for the user's current email and send it.
+ * Delivery failures are logged rather than thrown so they never block
+ * registration or profile updates.
+ * @param {Object} user - User document
+ * @param {string} ipAddress - IP that triggered the email (optional)
+ * @returns {Promise<void>}
+ */
+export async function sendEmailVerification(user, ipAddress = null) {
+  const { token } = await UserToken.issue(user.uid, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60, ipAddress);
+
+  try {
+    await sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+  } catch (mailError) {
+    console.error('Verification email error:', mailError);
+  }
+}
+
+export default {
+  sendEmailVerification
+};
@@ -0,0 +1,54 @@
+import Category from '../models/Category.js';
+
+/**
+ * Get the active categories a user may view, in display order. A category
+ * is only visible when all of its parents are too, so hiding or deactivating
+ * a category hides its whole subtree.
+ * @param {Object|null} user - User document, or null for guests
+ * @returns {Promise<Array<Object>>} - Category documents
+ */
+export async function getVisibleCategories(user) {
+  const categories = (await Category.find({ active: true }).sort({ order: 1, createdAt: 1 }))
+    .filter(category => category.canAccess(user, 'view'));
+  const byId = new Map(categories.map(category => [category.id, category]));
+
+  const isReachable = (category) => {
+    let current = category;
+    for (let depth = 0; current.parentId !== null && current.parentId !== undefined; depth++) {
+      if (!byId.has(current.parentId) || depth > categories.length) {
+        return false;
+      }
+      current = byId.get(current.parentId);
+    }
+    return true;
+  };
+
+  return categories.filter(isReachable);
+}
+
+/**
+ * Get the IDs of the categories a user can browse and search
+ * @param {Object|null} user - User document, or null for guests
+ * @returns {Promise<Array<number>>}
+ */
+export async function getVisibleCategoryIds(user) {
+  const categories = await getVisibleCategories(user);
+  return categories.map(category => category.id);
+}
+
+/**
+ * Get a category if the user can see it
+ * @param {Object|null} user - User document, or null for guests
+ * @param {number} categoryId - Category ID
+ * @returns {Promise<Object|null>} - Category document, or null when missing or hidden
+ */
+export async function getVisibleCategory(user, categoryId) {
+  const categories = await getVisibleCategories(user);
+  return categories.find(category => category.id === categoryId) || null;
+}
+
+export default {
+  getVisibleCategories,
+  getVisibleCategoryIds,
+  getVisibleCategory
+};
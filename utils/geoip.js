@@ -0,0 +1,66 @@
+import path from 'path';
+import { existsSync } from 'fs';
+import maxmind from 'maxmind';
+
+// MaxMind-format country database (e.g. GeoLite2-Country.mmdb), read from disk only
+const GEOIP_DB_PATH = process.env.GEOIP_DB_PATH || path.join(process.cwd(), 'data', 'GeoLite2-Country.mmdb');
+
+let readerPromise = null;
+
+// Open the database once; a missing or unreadable file disables lookups
+const getReader = () => {
+  if (!readerPromise) {
+    if (!existsSync(GEOIP_DB_PATH)) {
+      console.warn(`⚠️ GeoIP database not found at ${GEOIP_DB_PATH}, country tracking is disabled`);
+      readerPromise = Promise.resolve(null);
+    } else {
+      readerPromise = maxmind.open(GEOIP_DB_PATH, { watchForUpdates: true, watchForUpdatesNonPersistent: true })
+        .then(reader => {
+          console.log(`🌍 GeoIP database loaded from ${GEOIP_DB_PATH}`);
+          return reader;
+        })
+        .catch(error => {
+          console.error('GeoIP database load error:', error);
+          return null;
+        });
+    }
+  }
+  return readerPromise;
+};
+
+/**
+ * Whether country lookups are available
+ * @returns {Promise<boolean>}
+ */
+export async function isGeoIpAvailable() {
+  return Boolean(await getReader());
+}
+
+/**
+ * Resolve an IP address to an ISO 3166-1 alpha-2 country code
+ * @param {string} ipAddress - IPv4 or IPv6 address
+ * @returns {Promise<string|null>} - e.g. 'DE', or null when unknown
+ */
+export async function lookupCountry(ipAddress) {
+  if (!ipAddress) return null;
+
+  const ip = ipAddress.startsWith('::ffff:') ? ipAddress.substring(7) : ipAddress;
+  if (!maxmind.validate(ip)) return null;
+
+  const reader = await getReader();
+  if (!reader) return null;
+
+  try {
+    const result = reader.get(ip);
+    const country = result && (result.country || result.registered_country);
+    return country && country.iso_code ? country.iso_code : null;
+  } catch (error) {
+    console.error('GeoIP lookup error:', error);
+    return null;
+  }
+}
+
+export default {
+  isGeoIpAvailable,
+  lookupCountry
+};
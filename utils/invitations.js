@@ -0,0 +1,392 @@
+import InvitationCode from '../models/InvitationCode.js';
+import User from '../models/User.js';
+import Setting from '../models/Setting.js';
+import Ban from '../models/Ban.js';
+import { issueWarning } from './warnings.js';
+
+export const MAX_BULK_CODES = 1000;
+export const MAX_PREFIX_LENGTH = 10;
+
+export const INVITER_PENALTY_SETTING = 'invites.inviterPenalty';
+export const DEFAULT_INVITER_PENALTY = {
+  revokeInvites: true,
+  warningPoints: 1
+};
+
+// Lifetime of a code minted from an inventory invite item
+const PERSONAL_CODE_TTL_DAYS = 30;
+
+export const MAX_TREE_DEPTH = 10;
+const MAX_TREE_NODES = 2000;
+const TREE_FIELDS = 'uid username badge banned joinDate invitedBy invitationCode';
+
+const RANDOM_PART_LENGTH = 8;
+
+/**
+ * Create a batch of unique invitation codes
+ * @param {Object} options
+ * @param {number} options.count - How many codes to create
+ * @param {string} options.prefix - Prefix for every code (may be empty)
+ * @param {number} options.maxUses - Uses allowed per code
+ * @param {string} options.expiresAt - ISO expiry date
+ * @param {string|null} options.campaign - Campaign label
+ * @param {number} options.createdBy - UID of the admin or user
+ * @param {number|null} options.inventoryItemId - Inventory item a personal code was minted from
+ * @returns {Promise<Array<Object>>} - Created codes
+ */
+export async function generateInviteCodes({ count, prefix = '', maxUses = 1, expiresAt, campaign = null, createdBy, inventoryItemId = null }) {
+  const codes = new Set();
+
+  // Retry until every code is unique, both within the batch and against the database
+  while (codes.size < count) {
+    const candidates = [];
+    while (codes.size + candidates.length < count) {
+      const code = prefix + InvitationCode.generateCode(RANDOM_PART_LENGTH);
+      if (!codes.has(code) && !candidates.includes(code)) {
+        candidates.push(code);
+      }
+    }
+
+    const taken = await InvitationCode.find({ code: { $in: candidates } }).distinct('code');
+    candidates.filter(code => !taken.includes(code)).forEach(code => codes.add(code));
+  }
+
+  const now = new Date().toISOString();
+  return InvitationCode.insertMany([...codes].map(code => ({
+    code,
+    campaign,
+    createdBy,
+    createdAt: now,
+    expiresAt,
+    maxUses,
+    inventoryItemId,
+    used: false
+  })));
+}
+
+/**
+ * Consume an invite item from a user's inventory and mint a single-use code for it
+ * @param {Object} user - Owner of the item
+ * @param {number} itemId - Inventory item ID (may be fractional on older items)
+ * @returns {Promise<{code: Object}|{error: string, status: number}>}
+ */
+export async function mintPersonalInviteCode(user, itemId) {
+  const item = user.inventory.find(entry => entry.id === itemId);
+  if (!item) {
+    return { error: 'Item not found in inventory', status: 404 };
+  }
+  if (item.type !== 'invite') {
+    return { error: 'Only invite items can be turned into invitation codes', status: 400 };
+  }
+  if (item.used) {
+    return { error: 'Item already used', status: 400 };
+  }
+  if (item.expiresAt && new Date(item.expiresAt) < new Date()) {
+    return { error: 'Item has expired', status: 400 };
+  }
+
+  // Claim the item atomically so a double submit can't mint two codes
+  const usedAt = new Date().toISOString();
+  const claim = await User.updateOne(
+    { uid: user.uid, inventory: { $elemMatch: { id: itemId, used: false } } },
+    { $set: { 'inventory.$.used': true, 'inventory.$.usedAt': usedAt } }
+  );
+  if (claim.modifiedCount === 0) {
+    return { error: 'Item already used', status: 400 };
+  }
+
+  try {
+    const [code] = await generateInviteCodes({
+      count: 1,
+      maxUses: 1,
+      expiresAt: new Date(Date.now() + PERSONAL_CODE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      createdBy: user.uid,
+      inventoryItemId: itemId
+    });
+
+    item.used = true;
+    item.usedAt = usedAt;
+    return { code };
+  } catch (error) {
+    // Give the item back if the code couldn't be created
+    await User.updateOne(
+      { uid: user.uid, inventory: { $elemMatch: { id: itemId, usedAt } } },
+      { $set: { 'inventory.$.used': false, 'inventory.$.usedAt': null } }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Redemption and invitee figures for each campaign
+ * @param {string|null} campaign - Limit to one campaign
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getCampaignStats(campaign = null) {
+  const match = campaign ? { campaign } : { campaign: { $ne: null } };
+  const now = new Date().toISOString();
+
+  const codeStats = await InvitationCode.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$campaign',
+        codes: { $sum: 1 },
+        totalUses: { $sum: '$maxUses' },
+        redemptions: { $sum: '$currentUses' },
+        exhaustedCodes: { $sum: { $cond: ['$used', 1, 0] } },
+        revokedCodes: { $sum: { $cond: ['$revoked', 1, 0] } },
+        expiredCodes: {
+          $sum: { $cond: [{ $and: [{ $not: ['$used'] }, { $lte: ['$expiresAt', now] }] }, 1, 0] }
+        },
+        firstCreatedAt: { $min: '$createdAt' },
+        lastCreatedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { lastCreatedAt: -1 } }
+  ]);
+  if (codeStats.length === 0) {
+    return [];
+  }
+
+  // Invitees are matched through the code they registered with
+  const campaignByCode = new Map();
+  const codes = await InvitationCode.find(match).select('code campaign');
+  codes.forEach(code => campaignByCode.set(code.code, code.campaign));
+
+  const inviteeStats = await User.aggregate([
+    { $match: { invitationCode: { $in: [...campaignByCode.keys()] } } },
+    {
+      $group: {
+        _id: '$invitationCode',
+        registered: { $sum: 1 },
+        banned: { $sum: { $cond: ['$banned', 1, 0] } }
+      }
+    }
+  ]);
+
+  const invitees = new Map();
+  for (const row of inviteeStats) {
+    const name = campaignByCode.get(row._id);
+    const totals = invitees.get(name) || { registered: 0, banned: 0 };
+    totals.registered += row.registered;
+    totals.banned += row.banned;
+    invitees.set(name, totals);
+  }
+
+  return codeStats.map(row => {
+    const totals = invitees.get(row._id) || { registered: 0, banned: 0 };
+    return {
+      campaign: row._id,
+      codes: row.codes,
+      totalUses: row.totalUses,
+      redemptions: row.redemptions,
+      exhaustedCodes: row.exhaustedCodes,
+      expiredCodes: row.expiredCodes,
+      revokedCodes: row.revokedCodes,
+      invitees: {
+        registered: totals.registered,
+        active: totals.registered - totals.banned,
+        banned: totals.banned
+      },
+      firstCreatedAt: row.firstCreatedAt,
+      lastCreatedAt: row.lastCreatedAt
+    };
+  });
+}
+
+const CSV_COLUMNS = ['code', 'campaign', 'createdAt', 'expiresAt', 'maxUses', 'currentUses', 'used', 'revoked'];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from evaluating user-supplied text as a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise invitation codes as CSV
+ * @param {Array<Object>} codes - InvitationCode documents
+ * @returns {string}
+ */
+export function codesToCsv(codes) {
+  const rows = codes.map(code => CSV_COLUMNS.map(column => csvValue(code[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Get the penalty applied to inviters of banned users, falling back to the defaults
+ * @returns {Promise<Object>} - { revokeInvites, warningPoints }
+ */
+export async function getInviterPenaltyPolicy() {
+  const policy = await Setting.getValue(INVITER_PENALTY_SETTING, null);
+  return policy || DEFAULT_INVITER_PENALTY;
+}
+
+/**
+ * Validate an inviter penalty policy submitted by an admin
+ * @param {Object} policy - { revokeInvites, warningPoints }
+ * @returns {{policy: Object}|{error: string}}
+ */
+export function validateInviterPenaltyPolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    return { error: 'Policy is required' };
+  }
+
+  const warningPoints = parseInt(policy.warningPoints);
+  if (isNaN(warningPoints) || warningPoints < 0 || warningPoints > 100) {
+    return { error: 'warningPoints must be between 0 and 100' };
+  }
+
+  return { policy: { revokeInvites: Boolean(policy.revokeInvites), warningPoints } };
+}
+
+/**
+ * Penalise the user who invited a banned user, as configured by the penalty
+ * policy. Each ban penalises the inviter at most once.
+ * @param {Object} invitee - Banned user document
+ * @param {Object} options
+ * @param {Object} options.ban - The invitee's active Ban record
+ * @param {number} options.issuedBy - UID of the staff member
+ * @returns {Promise<Object>} - { inviterUid, revokedItems, revokedCodes, warningId } or { error, status }
+ */
+export async function penalizeInviter(invitee, { ban, issuedBy }) {
+  if (!invitee.invitedBy) {
+    return { error: 'User was not invited by another user', status: 400 };
+  }
+
+  const inviter = await User.findOne({ uid: invitee.invitedBy });
+  if (!inviter) {
+    return { error: 'Inviter not found', status: 404 };
+  }
+  // Staff hand out codes on behalf of the site, not personally
+  if (inviter.isModerator()) {
+    return { error: 'Staff inviters are not penalised', status: 400 };
+  }
+
+  // Claim the ban first so concurrent or repeated calls can't stack warnings
+  const claimed = await Ban.findOneAndUpdate(
+    { id: ban.id, inviterPenalizedAt: null },
+    { $set: { inviterPenalizedAt: new Date().toISOString() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { error: 'The inviter has already been penalised for this ban', status: 409 };
+  }
+
+  const policy = await getInviterPenaltyPolicy();
+  const result = { inviterUid: inviter.uid, revokedItems: 0, revokedCodes: 0, warningId: null };
+
+  if (policy.revokeInvites) {
+    const isUnusedInvite = item => item.type === 'invite' && !item.used;
+    result.revokedItems = inviter.inventory.filter(isUnusedInvite).length;
+    if (result.revokedItems > 0) {
+      inviter.inventory = inviter.inventory.filter(item => !isUnusedInvite(item));
+      await inviter.save();
+    }
+
+    const codes = await InvitationCode.updateMany(
+      { createdBy: inviter.uid, used: false, revoked: { $ne: true } },
+      { $set: { revoked: true, revokedBy: issuedBy, revokedAt: new Date().toISOString() } }
+    );
+    result.revokedCodes = codes.modifiedCount;
+  }
+
+  if (policy.warningPoints > 0) {
+    const { warning } = await issueWarning(inviter, {
+      issuedBy,
+      reason: `A user you invited (${invitee.username}) was banned`,
+      points: policy.warningPoints
+    });
+    result.warningId = warning.id;
+  }
+
+  return result;
+}
+
+/**
+ * Build the invite tree below a user, or below every user nobody invited
+ * @param {number|null} rootUid - Start from this user
+ * @param {number} maxDepth - Levels of invitees to include
+ * @returns {Promise<{tree: Array<Object>, nodes: number, truncated: boolean}>}
+ */
+export async function buildInviteTree(rootUid = null, maxDepth = 3) {
+  const roots = await User.find(rootUid ? { uid: rootUid } : { invitedBy: null })
+    .select(TREE_FIELDS)
+    .sort({ joinDate: 1 })
+    .limit(MAX_TREE_NODES);
+
+  const toNode = user => ({
+    uid: user.uid,
+    username: user.username,
+    badge: user.badge,
+    banned: user.banned,
+    joinDate: user.joinDate,
+    invitationCode: user.invitationCode,
+    inviteeCount: 0,
+    invitees: []
+  });
+
+  const tree = roots.map(toNode);
+  let nodes = tree.length;
+  let truncated = roots.length >= MAX_TREE_NODES;
+  let level = tree;
+
+  for (let depth = 0; depth < maxDepth && level.length > 0 && !truncated; depth++) {
+    const byUid = new Map(level.map(node => [node.uid, node]));
+    const children = await User.find({ invitedBy: { $in: [...byUid.keys()] } })
+      .select(TREE_FIELDS)
+      .sort({ joinDate: 1 })
+      .limit(MAX_TREE_NODES - nodes + 1);
+
+    if (nodes + children.length > MAX_TREE_NODES) {
+      truncated = true;
+      children.pop();
+    }
+
+    const nextLevel = [];
+    for (const child of children) {
+      const node = toNode(child);
+      const parent = byUid.get(child.invitedBy);
+      parent.invitees.push(node);
+      parent.inviteeCount += 1;
+      nextLevel.push(node);
+    }
+
+    nodes += children.length;
+    level = nextLevel;
+  }
+
+  // Invitees below the last level are counted but not expanded
+  if (level.length > 0) {
+    const counts = await User.aggregate([
+      { $match: { invitedBy: { $in: level.map(node => node.uid) } } },
+      { $group: { _id: '$invitedBy', count: { $sum: 1 } } }
+    ]);
+    const countByUid = new Map(counts.map(row => [row._id, row.count]));
+    level.forEach(node => {
+      node.inviteeCount = countByUid.get(node.uid) || 0;
+    });
+  }
+
+  return { tree, nodes, truncated };
+}
+
+export default {
+  MAX_BULK_CODES,
+  MAX_PREFIX_LENGTH,
+  INVITER_PENALTY_SETTING,
+  DEFAULT_INVITER_PENALTY,
+  MAX_TREE_DEPTH,
+  generateInviteCodes,
+  mintPersonalInviteCode,
+  getCampaignStats,
+  codesToCsv,
+  getInviterPenaltyPolicy,
+  validateInviterPenaltyPolicy,
+  penalizeInviter,
+  buildInviteTree
+};
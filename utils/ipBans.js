@@ -0,0 +1,124 @@
+import net from 'net';
+import IpBan from '../models/IpBan.js';
+import UserIp from '../models/UserIp.js';
+
+// Compiled ban list is reused for a short time
+const CACHE_TTL_MS = 30 * 1000;
+let cache = null;
+
+/**
+ * Parse a single address or CIDR range
+ * @param {string} range - e.g. '203.0.113.7', '203.0.113.0/24', '2001:db8::/32'
+ * @returns {Object|null} - { address, prefix, family, normalized } or null if invalid
+ */
+export function parseIpRange(range) {
+  if (typeof range !== 'string') return null;
+
+  const [rawAddress, rawPrefix, extra] = range.trim().split('/');
+  if (extra !== undefined) return null;
+
+  const address = UserIp.normalizeIp(rawAddress);
+  const version = net.isIP(address);
+  if (!version) return null;
+
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) return null;
+
+  return {
+    address,
+    prefix,
+    family,
+    normalized: prefix === maxPrefix ? address : `${address}/${prefix}`
+  };
+}
+
+/**
+ * Check whether an IP falls inside a range
+ * @param {string} ipAddress - Address to test
+ * @param {string} range - Single address or CIDR range
+ * @returns {boolean}
+ */
+export function ipInRange(ipAddress, range) {
+  const parsed = parseIpRange(range);
+  const ip = UserIp.normalizeIp(ipAddress);
+  if (!parsed || !ip || !net.isIP(ip)) return false;
+
+  const blockList = new net.BlockList();
+  blockList.addSubnet(parsed.address, parsed.prefix, parsed.family);
+  return blockList.check(ip, net.isIP(ip) === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Load bans currently in effect, each with its own BlockList so we can tell which one matched
+async function loadActiveBans() {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.entries;
+  }
+
+  const bans = await IpBan.find({
+    active: true,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date().toISOString() } }]
+  });
+
+  const entries = [];
+  for (const ban of bans) {
+    const parsed = parseIpRange(ban.range);
+    if (!parsed) continue;
+    const blockList = new net.BlockList();
+    blockList.addSubnet(parsed.address, parsed.prefix, parsed.family);
+    entries.push({ ban, blockList });
+  }
+
+  cache = { entries, expiresAt: Date.now() + CACHE_TTL_MS };
+  return entries;
+}
+
+/**
+ * Find the IP ban covering an address
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<Object|null>} - Matching IpBan, or null
+ */
+export async function findIpBan(ipAddress) {
+  const ip = UserIp.normalizeIp(ipAddress);
+  const version = ip ? net.isIP(ip) : 0;
+  if (!version) return null;
+
+  const entries = await loadActiveBans();
+  const match = entries.find(({ ban, blockList }) =>
+    ban.isInEffect() && blockList.check(ip, version === 4 ? 'ipv4' : 'ipv6')
+  );
+  return match ? match.ban : null;
+}
+
+/**
+ * Drop the cached ban list after bans change
+ */
+export function invalidateIpBanCache() {
+  cache = null;
+}
+
+/**
+ * Body for 403 responses to banned IPs
+ * @param {Object} ipBan - Matching IpBan
+ * @returns {Object}
+ */
+export function ipBannedResponse(ipBan) {
+  return {
+    success: false,
+    code: 'IP_BANNED',
+    message: 'Access from your network has been blocked',
+    ipBan: {
+      reason: ipBan.reason,
+      expiresAt: ipBan.expiresAt
+    }
+  };
+}
+
+export default {
+  parseIpRange,
+  ipInRange,
+  findIpBan,
+  invalidateIpBanCache,
+  ipBannedResponse
+};
@@ -0,0 +1,240 @@
+import LoginThrottle from '../models/LoginThrottle.js';
+import LoginHistory from '../models/LoginHistory.js';
+import Notification from '../models/Notification.js';
+import UserIp from '../models/UserIp.js';
+import { getClientIP } from '../middleware/auth.js';
+import { lookupCountry } from './geoip.js';
+
+// Lockout length doubles with every lockout: base, 2x base, 4x base ... up to max
+const POLICIES = {
+  account: { maxFailures: 5, baseLockMinutes: 1, maxLockMinutes: 24 * 60 },
+  ip: { maxFailures: 20, baseLockMinutes: 5, maxLockMinutes: 24 * 60 }
+};
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// Lockout escalation resets after a quiet day
+const LOCKOUT_DECAY_MS = 24 * 60 * 60 * 1000;
+
+const throttleKey = (scope, value) => `${scope}:${value}`;
+
+/**
+ * Increment the failure counter for an account or IP, locking it when the
+ * policy threshold is reached
+ * @param {string} scope - 'account' or 'ip'
+ * @param {string|number} value - User UID or IP address
+ * @returns {Promise<{throttle: Object, lockedNow: boolean, lockMinutes: number}>}
+ */
+async function registerFailure(scope, value) {
+  const policy = POLICIES[scope];
+  const key = throttleKey(scope, value);
+
+  let throttle = await LoginThrottle.findOne({ key });
+  if (!throttle) {
+    throttle = new LoginThrottle({
+      key,
+      scope,
+      userUid: scope === 'account' ? value : null,
+      ipAddress: scope === 'ip' ? value : null
+    });
+  }
+
+  const now = Date.now();
+  if (throttle.lastFailureAt && now - new Date(throttle.lastFailureAt).getTime() > FAILURE_WINDOW_MS) {
+    throttle.failures = 0;
+  }
+  if (throttle.lastLockoutAt && now - new Date(throttle.lastLockoutAt).getTime() > LOCKOUT_DECAY_MS) {
+    throttle.lockouts = 0;
+  }
+
+  throttle.failures += 1;
+  throttle.lastFailureAt = new Date(now).toISOString();
+
+  let lockedNow = false;
+  let lockMinutes = 0;
+  if (throttle.failures >= policy.maxFailures) {
+    lockMinutes = Math.min(policy.baseLockMinutes * 2 ** throttle.lockouts, policy.maxLockMinutes);
+    throttle.lockedUntil = new Date(now + lockMinutes * 60 * 1000).toISOString();
+    throttle.lastLockoutAt = new Date(now).toISOString();
+    throttle.lockouts += 1;
+    throttle.failures = 0;
+    lockedNow = true;
+  }
+
+  try {
+    await throttle.save();
+  } catch (error) {
+    // Another request created the same key concurrently - count against that one
+    if (error.code === 11000 && throttle.isNew) {
+      return registerFailure(scope, value);
+    }
+    throw error;
+  }
+
+  return { throttle, lockedNow, lockMinutes };
+}
+
+/**
+ * Find an active lockout for an account or the requesting IP
+ * @param {number|null} userUid - Account being logged into (if known)
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<Object|null>} - { scope, lockedUntil, retryAfter } or null
+ */
+export async function getActiveLockout(userUid, ipAddress) {
+  const keys = [throttleKey('ip', ipAddress)];
+  if (userUid) {
+    keys.push(throttleKey('account', userUid));
+  }
+
+  const throttles = await LoginThrottle.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date().toISOString() }
+  });
+
+  if (throttles.length === 0) {
+    return null;
+  }
+
+  // Report whichever lock lasts longest
+  const longest = throttles.reduce((a, b) => (a.lockedUntil > b.lockedUntil ? a : b));
+  return {
+    scope: longest.scope,
+    lockedUntil: longest.lockedUntil,
+    retryAfter: longest.getRetryAfter()
+  };
+}
+
+/**
+ * Record a failed login attempt and apply lockout policy
+ * @param {Object} options
+ * @param {Object} options.req - Express request
+ * @param {Object|null} options.user - Matched user, if any
+ * @param {string} options.email - Email that was tried
+ * @param {string} options.reason - Why the attempt failed
+ * @param {string} options.method - 'password', '2fa' or 'recovery_code'
+ * @returns {Promise<void>}
+ */
+export async function recordLoginFailure({ req, user = null, email = null, reason, method = 'password' }) {
+  const ipAddress = getClientIP(req);
+
+  await LoginHistory.create({
+    userUid: user ? user.uid : null,
+    email: email || (user ? user.email : null),
+    ipAddress,
+    country: await lookupCountry(ipAddress),
+    userAgent: (req.headers['user-agent'] || '').substring(0, 500),
+    success: false,
+    method,
+    failureReason: reason
+  });
+
+  await registerFailure('ip', ipAddress);
+
+  if (user) {
+    const { lockedNow, lockMinutes } = await registerFailure('account', user.uid);
+
+    if (lockedNow) {
+      await Notification.createNotification(
+        user.uid,
+        'system',
+        'Account temporarily locked',
+        `We locked sign-in to your account for ${lockMinutes} minute(s) after repeated failed login attempts from ${ipAddress}. ` +
+          'If this wasn\'t you, consider changing your password and enabling two-factor authentication.',
+        { ipAddress, lockMinutes }
+      );
+      console.warn(`🔒 Account ${user.uid} locked for ${lockMinutes} minute(s) after failed logins from ${ipAddress}`);
+    }
+  }
+}
+
+/**
+ * Check whether a user has logged in from this IP/user agent pair before.
+ * Accounts with no login history at all (new, or older than the log) are
+ * treated as known so the first recorded login doesn't raise an alert.
+ * @param {number} userUid - User UID
+ * @param {string} ipAddress - Client IP
+ * @param {string} userAgent - Client user agent
+ * @returns {Promise<boolean>}
+ */
+async function isNewDevice(userUid, ipAddress, userAgent) {
+  const previousLogin = await LoginHistory.exists({ userUid, success: true });
+  if (!previousLogin) {
+    return false;
+  }
+
+  const seenBefore = await LoginHistory.exists({ userUid, success: true, ipAddress, userAgent });
+  return !seenBefore;
+}
+
+/**
+ * Record a successful login, alert the user about unfamiliar devices and
+ * reset the account's failure counter
+ * @param {Object} options
+ * @param {Object} options.req - Express request
+ * @param {Object} options.user - Logged in user
+ * @param {string} options.method - 'password', '2fa', 'recovery_code' or 'registration'
+ * @returns {Promise<Object>} - Created LoginHistory entry
+ */
+export async function recordLoginSuccess({ req, user, method = 'password' }) {
+  const ipAddress = getClientIP(req);
+  const userAgent = (req.headers['user-agent'] || '').substring(0, 500);
+  const newDevice = await isNewDevice(user.uid, ipAddress, userAgent);
+  const country = await lookupCountry(ipAddress);
+
+  const entry = await LoginHistory.create({
+    userUid: user.uid,
+    email: user.email,
+    ipAddress,
+    country,
+    userAgent,
+    success: true,
+    method,
+    newDevice
+  });
+
+  await UserIp.record(user.uid, ipAddress);
+
+  if (country && user.country !== country) {
+    user.country = country;
+    await user.updateOne({ $set: { country } });
+  }
+
+  if (newDevice) {
+    await Notification.createNotification(
+      user.uid,
+      'system',
+      'New sign-in to your account',
+      `Your account was signed in from a new device or location (IP ${ipAddress}). ` +
+        'If this wasn\'t you, change your password and sign out your other sessions.',
+      { ipAddress, userAgent, loginId: entry.id },
+      entry.id
+    );
+  }
+
+  await LoginThrottle.updateOne(
+    { key: throttleKey('account', user.uid) },
+    { $set: { failures: 0 } }
+  );
+
+  return entry;
+}
+
+/**
+ * Clear any lockout on an account (e.g. after a password reset)
+ * @param {number} userUid - User UID
+ * @returns {Promise<void>}
+ */
+export async function clearAccountLockout(userUid) {
+  await LoginThrottle.updateOne(
+    { key: throttleKey('account', userUid) },
+    { $set: { failures: 0, lockedUntil: null, lockouts: 0 } }
+  );
+}
+
+export default {
+  getActiveLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearAccountLockout
+};
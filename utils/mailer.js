@@ -0,0 +1,177 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { escapeHtml } from './search.js';
+
+/**
+ * Pluggable mail delivery.
+ *
+ * A transport is any object with an async `send(message)` method, where
+ * message is `{ from, to, subject, text, html }`. The active transport is
+ * chosen with MAIL_TRANSPORT (smtp, file, console or none). It defaults to
+ * console in development and to none in production, so reset and
+ * verification tokens never end up in production logs by accident.
+ * Additional transports can be added with registerTransport().
+ */
+
+const transportFactories = {
+  // Real delivery through an SMTP server
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      } : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: (message) => transporter.sendMail(message)
+    };
+  },
+
+  // Local development: write each message to a JSON file
+  file: () => {
+    const directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail-outbox');
+
+    return {
+      name: 'file',
+      send: async (message) => {
+        await fs.mkdir(directory, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+        await fs.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+        console.log(`📧 Mail to ${message.to} written to ${fileName}`);
+      }
+    };
+  },
+
+  // Local development: print messages to the console
+  console: () => ({
+    name: 'console',
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  }),
+
+  // No delivery configured: drop messages without logging their contents
+  none: () => {
+    console.warn('⚠️ MAIL_TRANSPORT is not set, emails will not be sent');
+    return {
+      name: 'none',
+      send: async (message) => {
+        console.warn(`📧 Mail to ${message.to} not sent (${message.subject}): no mail transport configured`);
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register a custom transport factory
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} factory - Returns an object with an async send(message) method
+ */
+export function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  if (activeTransport && activeTransport.name === name) {
+    activeTransport = null;
+  }
+}
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} - Transport instance
+ */
+export function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'none' : 'console');
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const transport = getTransport();
+  await transport.send({
+    from: process.env.MAIL_FROM || 'Desync <no-reply@desync.local>',
+    to,
+    subject,
+    text,
+    // Text carries user input such as usernames, so escape it before it becomes HTML
+    html: html || escapeHtml(text).replace(/\n/g, '<br>')
+  });
+}
+
+/**
+ * Build a link into the frontend
+ * @param {string} pathname - Path on the frontend
+ * @param {Object} params - Query parameters
+ * @returns {string} - Absolute URL
+ */
+export function frontendLink(pathname, params = {}) {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Plain reset token
+ * @param {number} expiresInMinutes - Token lifetime, shown in the email
+ * @returns {Promise<void>}
+ */
+export async function sendPasswordResetEmail(user, token, expiresInMinutes) {
+  const link = frontendLink('/reset-password', { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Desync password',
+    text: `Hi ${user.username},\n\n` +
+      `Someone requested a password reset for your account. Use the link below to choose a new password:\n\n` +
+      `${link}\n\n` +
+      `This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      `If you didn't request this, you can ignore this email.`
+  });
+}
+
+/**
+ * Send an email address verification link
+ * @param {Object} user - User document
+ * @param {string} token - Plain verification token
+ * @param {number} expiresInHours - Token lifetime, shown in the email
+ * @returns {Promise<void>}
+ */
+export async function sendVerificationEmail(user, token, expiresInHours) {
+  const link = frontendLink('/verify-email', { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Desync email address',
+    text: `Hi ${user.username},\n\n` +
+      `Please confirm this is your email address by opening the link below:\n\n` +
+      `${link}\n\n` +
+      `This link expires in ${expiresInHours} hours. ` +
+      `If you didn't create an account, you can ignore this email.`
+  });
+}
+
+export default {
+  registerTransport,
+  getTransport,
+  sendMail,
+  frontendLink,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
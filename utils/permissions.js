@@ -0,0 +1,256 @@
+import Role from '../models/Role.js';
+import UserRole from '../models/UserRole.js';
+
+/**
+ * Permission catalogue.
+ *
+ * Permissions are dot-separated strings. A grant ending in `.*` covers every
+ * permission below it ('forum.*' covers 'forum.thread.lock'), and '*' covers
+ * everything. Roles may also list a permission prefixed with '-' to take it
+ * away again ('-chat.send' mutes a user). Denials are kept alongside the
+ * grants and checked first, so they also beat wildcard grants such as
+ * 'chat.*' or '*'. Roles are applied in ascending `priority`; a later role
+ * can lift an earlier denial by granting that exact permission again.
+ */
+export const PERMISSIONS = {
+  '*': 'Every permission (Owner)',
+
+  'admin.access': 'Use the admin panel and admin API',
+  'admin.users.manage': 'Ban, unban and change the rank of users',
+  'admin.roles.manage': 'Create roles and grant or revoke them',
+  'admin.codes.manage': 'Generate and delete invitation codes',
+  'admin.events.manage': 'Create and run admin events',
+  'admin.categories.manage': 'Create, edit, nest and reorder forum categories',
+  'admin.settings.manage': 'Change security and site settings',
+
+  'moderation.access': 'Use moderator tools',
+  'reports.manage': 'Review, claim and resolve reports',
+
+  'support.access': 'Use support tools',
+
+  'forum.thread.create': 'Start new threads',
+  'forum.post.create': 'Reply to threads',
+  'forum.thread.lock': 'Lock and unlock threads',
+  'forum.thread.pin': 'Pin and unpin threads',
+  'forum.thread.move': 'Move threads between categories',
+  'forum.thread.delete': 'Delete and restore any thread',
+  'forum.post.edit.any': 'Edit any post or thread',
+  'forum.post.delete.any': 'Delete any post',
+
+  'chat.send': 'Send shoutbox chat messages',
+  'chat.message.delete.any': 'Delete any chat message',
+
+  'messages.send': 'Send private messages',
+
+  'access_software': 'Access paid software (granted by purchases and token redemptions)'
+};
+
+const MEMBER_PERMISSIONS = [
+  'forum.thread.create',
+  'forum.post.create',
+  'chat.send',
+  'messages.send'
+];
+
+const SUPPORT_PERMISSIONS = [
+  ...MEMBER_PERMISSIONS,
+  'support.access'
+];
+
+const MODERATOR_PERMISSIONS = [
+  ...SUPPORT_PERMISSIONS,
+  'moderation.access',
+  'reports.manage',
+  'forum.thread.lock',
+  'forum.thread.pin',
+  'forum.thread.move',
+  'forum.thread.delete',
+  'forum.post.edit.any',
+  'forum.post.delete.any',
+  'chat.message.delete.any'
+];
+
+const ADMIN_PERMISSIONS = [
+  ...MODERATOR_PERMISSIONS,
+  'admin.access',
+  'admin.users.manage',
+  'admin.roles.manage',
+  'admin.codes.manage',
+  'admin.events.manage',
+  'admin.categories.manage',
+  'admin.settings.manage'
+];
+
+// Permissions every user gets from their badge, before roles are applied
+export const BADGE_PERMISSIONS = {
+  Owner: ['*'],
+  Admin: ADMIN_PERMISSIONS,
+  Moderator: MODERATOR_PERMISSIONS,
+  Support: SUPPORT_PERMISSIONS,
+  Premium: MEMBER_PERMISSIONS,
+  Known: MEMBER_PERMISSIONS,
+  Member: MEMBER_PERMISSIONS
+};
+
+// Resolved permissions are cached per user for a short time
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+// The permission itself and every wildcard that covers it, most specific first
+const coveringPatterns = (permission) => {
+  const parts = permission.split('.');
+  const patterns = [permission];
+  for (let i = parts.length - 1; i > 0; i--) {
+    patterns.push(`${parts.slice(0, i).join('.')}.*`);
+  }
+  patterns.push('*');
+  return patterns;
+};
+
+/**
+ * Check a permission list for a permission, honouring wildcards. Denials
+ * ('-chat.send', '-forum.*') in the list win over any grant.
+ * @param {Array<string>} granted - Granted (and denied) permissions
+ * @param {string} permission - Permission to check
+ * @returns {boolean}
+ */
+export function hasPermission(granted, permission) {
+  const patterns = coveringPatterns(permission);
+
+  if (patterns.some(pattern => granted.includes(`-${pattern}`))) {
+    return false;
+  }
+
+  return patterns.some(pattern => granted.includes(pattern));
+}
+
+/**
+ * Get the permissions granted by a badge alone
+ * @param {string} badge - User badge
+ * @returns {Array<string>}
+ */
+export function getBadgePermissions(badge) {
+  return BADGE_PERMISSIONS[badge] || MEMBER_PERMISSIONS;
+}
+
+/**
+ * Apply role grants and denials on top of badge permissions
+ * @param {string} badge - User badge
+ * @param {Array<Object>} roles - Active Role documents
+ * @returns {Array<string>} - Effective grants plus '-' prefixed denials
+ */
+export function mergePermissions(badge, roles) {
+  const permissions = new Set(getBadgePermissions(badge));
+  const ordered = [...roles].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+  for (const role of ordered) {
+    for (const permission of role.permissions) {
+      if (permission.startsWith('-')) {
+        permissions.delete(permission.substring(1));
+        permissions.add(permission);
+      } else {
+        permissions.delete(`-${permission}`);
+        permissions.add(permission);
+      }
+    }
+  }
+
+  return [...permissions].sort();
+}
+
+/**
+ * Resolve a user's effective permissions from their badge and valid roles
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>}
+ */
+export async function resolvePermissions(user) {
+  const cached = permissionCache.get(user.uid);
+  if (cached && cached.badge === user.badge && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const userRoles = await UserRole.find({ userUid: user.uid, active: true });
+  const validUserRoles = userRoles.filter(userRole => userRole.isValid());
+  const roles = validUserRoles.length > 0
+    ? await Role.find({ id: { $in: validUserRoles.map(ur => ur.roleId) }, active: true })
+    : [];
+
+  const permissions = mergePermissions(user.badge, roles);
+
+  // Don't keep serving a role past its expiry
+  let expiresAt = Date.now() + CACHE_TTL_MS;
+  for (const userRole of validUserRoles) {
+    if (userRole.expiresAt) {
+      expiresAt = Math.min(expiresAt, new Date(userRole.expiresAt).getTime());
+    }
+  }
+
+  permissionCache.set(user.uid, { badge: user.badge, permissions, expiresAt });
+  return permissions;
+}
+
+/**
+ * Resolve permissions and keep them on the user document for synchronous checks
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>}
+ */
+export async function attachPermissions(user) {
+  const permissions = await resolvePermissions(user);
+  user.$locals.permissions = permissions;
+  return permissions;
+}
+
+/**
+ * Drop cached permissions after roles change
+ * @param {number} userUid - User UID, or omit to clear every user
+ */
+export function invalidatePermissionCache(userUid = null) {
+  if (userUid === null) {
+    permissionCache.clear();
+  } else {
+    permissionCache.delete(userUid);
+  }
+}
+
+/**
+ * Validate a role's permission list against the catalogue, and stop staff
+ * from handing out permissions they don't hold themselves
+ * @param {Array<string>} permissions - Role permissions
+ * @param {Object} actor - User granting them (permissions attached)
+ * @returns {string|null} - Error message, or null when allowed
+ */
+export function validateRolePermissions(permissions, actor) {
+  if (!Array.isArray(permissions) || permissions.some(p => typeof p !== 'string')) {
+    return 'Permissions must be a list of strings';
+  }
+
+  const catalogue = Object.keys(PERMISSIONS);
+  for (const entry of permissions) {
+    const permission = entry.startsWith('-') ? entry.substring(1) : entry;
+    const known = permission.endsWith('.*')
+      ? catalogue.some(p => p.startsWith(permission.slice(0, -1)))
+      : catalogue.includes(permission);
+
+    if (!known) {
+      return `Unknown permission: ${entry}`;
+    }
+
+    if (!entry.startsWith('-') && !actor.hasPermission(permission)) {
+      return `You cannot grant a permission you do not have: ${entry}`;
+    }
+  }
+
+  return null;
+}
+
+export default {
+  PERMISSIONS,
+  BADGE_PERMISSIONS,
+  hasPermission,
+  getBadgePermissions,
+  mergePermissions,
+  resolvePermissions,
+  attachPermissions,
+  invalidatePermissionCache,
+  validateRolePermissions
+};
@@ -0,0 +1,174 @@
+import os from 'os';
+import crypto from 'crypto';
+import JobLock from '../models/JobLock.js';
+
+// Identifies this server process in job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// How often each instance checks whether a job is due
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const jobs = new Map();
+let pollTimer = null;
+
+/**
+ * Register a recurring job
+ * @param {Object} job
+ * @param {string} job.name - Unique job name (also the lock key)
+ * @param {number} job.intervalMs - Time between runs
+ * @param {Function} job.handler - Async function doing the work; its return value is stored as lastResult
+ * @param {number} job.lockTtlMs - How long a crashed run keeps the lock (defaults to 10 minutes)
+ */
+export function registerJob({ name, intervalMs, handler, lockTtlMs = 10 * 60 * 1000 }) {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, handler, lockTtlMs, running: false });
+}
+
+/**
+ * Atomically claim a job if it is due and nobody else holds it
+ * @param {Object} job - Registered job
+ * @param {boolean} force - Ignore nextRunAt (manual runs)
+ * @returns {Promise<Object|null>} - The claimed lock, or null if not ours to run
+ */
+async function acquireLock(job, force = false) {
+  const now = new Date();
+  const nowIso = now.toISOString();
+
+  const conditions = [
+    { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: nowIso } }] }
+  ];
+  if (!force) {
+    conditions.push({ nextRunAt: { $lte: nowIso } });
+  }
+
+  try {
+    return await JobLock.findOneAndUpdate(
+      { name: job.name, $and: conditions },
+      {
+        $set: {
+          lockedBy: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + job.lockTtlMs).toISOString(),
+          lastStartedAt: nowIso
+        }
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // The lock exists but is held or not yet due, so the upsert tried to insert a duplicate
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run a job now if this instance can claim its lock
+ * @param {string} name - Job name
+ * @param {Object} options
+ * @param {boolean} options.force - Run even if the job isn't due yet
+ * @returns {Promise<Object|null>} - Updated lock record, or null if the job was skipped
+ */
+export async function runJob(name, { force = false } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  if (job.running) {
+    return null;
+  }
+
+  job.running = true;
+  try {
+    const lock = await acquireLock(job, force);
+    if (!lock) {
+      return null;
+    }
+
+    let update;
+    try {
+      const result = await job.handler();
+      update = { lastStatus: 'success', lastError: null, lastResult: result === undefined ? null : result };
+    } catch (error) {
+      console.error(`❌ Job ${name} failed:`, error);
+      update = { lastStatus: 'failed', lastError: error.message };
+    }
+
+    const finishedAt = new Date();
+    return await JobLock.findOneAndUpdate(
+      { name, lockedBy: INSTANCE_ID },
+      {
+        $set: {
+          ...update,
+          lockedBy: null,
+          lockedUntil: null,
+          lastFinishedAt: finishedAt.toISOString(),
+          nextRunAt: new Date(finishedAt.getTime() + job.intervalMs).toISOString()
+        },
+        $inc: { runCount: 1 }
+      },
+      { new: true }
+    );
+  } finally {
+    job.running = false;
+  }
+}
+
+// Check every registered job and run the due ones one after another
+async function tick() {
+  for (const name of jobs.keys()) {
+    try {
+      await runJob(name);
+    } catch (error) {
+      console.error(`❌ Scheduler error for job ${name}:`, error);
+    }
+  }
+}
+
+/**
+ * Start polling for due jobs
+ */
+export function startScheduler() {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  tick();
+
+  console.log(`⏱️  Scheduler started with ${jobs.size} job(s) (instance ${INSTANCE_ID})`);
+}
+
+/**
+ * Stop polling for due jobs
+ */
+export function stopScheduler() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Get the registered jobs with their lock records
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getJobStatuses() {
+  const locks = await JobLock.find({ name: { $in: [...jobs.keys()] } });
+  const locksByName = new Map(locks.map(lock => [lock.name, lock]));
+
+  return [...jobs.values()].map(job => ({
+    name: job.name,
+    intervalMs: job.intervalMs,
+    ...(locksByName.has(job.name) ? locksByName.get(job.name).toJSON() : {})
+  }));
+}
+
+export default {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatuses
+};
@@ -0,0 +1,91 @@
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extract the words to highlight from a search query
+ * Negated terms ("-word") are dropped, quoted phrases are kept whole
+ * @param {string} query - Search query
+ * @returns {Array<string>} - Lower-cased terms, longest first
+ */
+export function parseSearchTerms(query) {
+  const terms = [];
+  const termRegex = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = termRegex.exec(query)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').replace(/["]/g, '').trim().toLowerCase();
+    if (!negated && term.length >= 2 && !terms.includes(term)) {
+      terms.push(term);
+    }
+  }
+
+  return terms.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Wrap search terms in <mark> tags. Everything else is HTML-escaped, so the
+ * result is safe to render as HTML.
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @returns {string}
+ */
+export function highlightTerms(text, terms) {
+  if (terms.length === 0) {
+    return escapeHtml(text);
+  }
+
+  // Split on the raw text so entities produced by escaping are never matched
+  const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+    .join('');
+}
+
+/**
+ * Build a highlighted snippet around the first matching term
+ * @param {string} text - Full text
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @returns {string} - HTML-escaped snippet with <mark> highlights
+ */
+export function buildSnippet(text, terms) {
+  const plain = text.replace(/\s+/g, ' ').trim();
+  const lower = plain.toLowerCase();
+
+  const positions = terms.map(term => lower.indexOf(term)).filter(position => position >= 0);
+  const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, firstMatch - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(plain.length, start + SNIPPET_LENGTH);
+
+  return (start > 0 ? '… ' : '') +
+    highlightTerms(plain.substring(start, end), terms) +
+    (end < plain.length ? ' …' : '');
+}
+
+export default {
+  escapeHtml,
+  escapeRegex,
+  parseSearchTerms,
+  highlightTerms,
+  buildSnippet
+};
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding and spaces ignored)
+ * @returns {Buffer} - Decoded bytes
+ */
+export function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded 160-bit secret
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute an HOTP value (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} - Zero-padded numeric code
+ */
+export function generateHOTP(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+                 (hmac[offset + 1] << 16) |
+                 (hmac[offset + 2] << 8) |
+                 hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Compute the TOTP time step for a timestamp (RFC 6238)
+ * @param {number} time - Unix time in milliseconds
+ * @returns {number} - Time step
+ */
+export function getTimeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Generate the TOTP code for a timestamp
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Unix time in milliseconds
+ * @returns {string} - Six digit code
+ */
+export function generateTOTP(secret, time = Date.now()) {
+  return generateHOTP(secret, getTimeStep(time));
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code supplied by the user
+ * @param {number} window - Number of time steps accepted either side of now
+ * @returns {number|null} - Matched time step, or null if the code is invalid
+ */
+export function verifyTOTP(secret, code, window = 1) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (usually the email)
+ * @param {string} issuer - Issuer shown in the authenticator app
+ * @returns {string} - otpauth URI
+ */
+export function buildOtpauthURI(secret, accountName, issuer = process.env.TOTP_ISSUER || 'Desync') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Plain recovery code
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a set of single-use recovery codes
+ * @param {number} count - Number of codes
+ * @returns {{codes: Array<string>, hashes: Array<string>}} - Plain codes and their hashes
+ */
+export function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+}
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  getTimeStep,
+  verifyTOTP,
+  buildOtpauthURI,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
@@ -0,0 +1,289 @@
+import Warning from '../models/Warning.js';
+import Role from '../models/Role.js';
+import UserRole from '../models/UserRole.js';
+import Ban from '../models/Ban.js';
+import Setting from '../models/Setting.js';
+import Notification from '../models/Notification.js';
+import { issueBan, liftBan } from './bans.js';
+import { invalidatePermissionCache } from './permissions.js';
+
+export const WARNING_POLICY_SETTING = 'moderation.warningPolicy';
+export const SANCTION_ACTIONS = ['chat_mute', 'posting_restriction', 'temp_ban'];
+
+export const DEFAULT_WARNING_POLICY = {
+  decayDays: 30,
+  thresholds: [
+    { points: 3, action: 'chat_mute', durationHours: 24 },
+    { points: 5, action: 'posting_restriction', durationHours: 72 },
+    { points: 10, action: 'temp_ban', durationHours: 7 * 24 }
+  ]
+};
+
+// Mutes and posting restrictions are roles that take permissions away
+const SANCTION_ROLES = {
+  chat_mute: {
+    slug: 'sanction-chat-mute',
+    name: 'Muted',
+    description: 'Cannot send shoutbox messages (automatic warning sanction)',
+    permissions: ['-chat.send']
+  },
+  posting_restriction: {
+    slug: 'sanction-posting-restriction',
+    name: 'Posting Restricted',
+    description: 'Cannot start threads or reply (automatic warning sanction)',
+    permissions: ['-forum.thread.create', '-forum.post.create']
+  }
+};
+
+// Applied after every other role so the denial always wins
+const SANCTION_ROLE_PRIORITY = 10000;
+
+const SANCTION_LABELS = {
+  chat_mute: 'chat mute',
+  posting_restriction: 'posting restriction',
+  temp_ban: 'temporary ban'
+};
+
+/**
+ * Get the warning policy, falling back to the defaults
+ * @returns {Promise<Object>} - { decayDays, thresholds }
+ */
+export async function getWarningPolicy() {
+  const policy = await Setting.getValue(WARNING_POLICY_SETTING, null);
+  return policy || DEFAULT_WARNING_POLICY;
+}
+
+/**
+ * Validate a warning policy submitted by an admin
+ * @param {Object} policy - { decayDays, thresholds: [{ points, action, durationHours }] }
+ * @returns {{policy: Object}|{error: string}}
+ */
+export function validateWarningPolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    return { error: 'Policy is required' };
+  }
+
+  const decayDays = parseFloat(policy.decayDays);
+  if (isNaN(decayDays) || decayDays <= 0) {
+    return { error: 'decayDays must be a positive number' };
+  }
+
+  if (!Array.isArray(policy.thresholds)) {
+    return { error: 'thresholds must be a list' };
+  }
+
+  const thresholds = [];
+  for (const threshold of policy.thresholds) {
+    const points = parseInt(threshold.points);
+    const durationHours = parseFloat(threshold.durationHours);
+
+    if (isNaN(points) || points < 1) {
+      return { error: 'Each threshold needs a positive points value' };
+    }
+    if (!SANCTION_ACTIONS.includes(threshold.action)) {
+      return { error: 'Threshold action must be one of ' + SANCTION_ACTIONS.join(', ') };
+    }
+    if (isNaN(durationHours) || durationHours <= 0) {
+      return { error: 'Each threshold needs a positive durationHours' };
+    }
+
+    thresholds.push({ points, action: threshold.action, durationHours });
+  }
+
+  thresholds.sort((a, b) => a.points - b.points);
+  return { policy: { decayDays, thresholds } };
+}
+
+/**
+ * Get a user's warnings that still count towards thresholds
+ * @param {number} userUid - User UID
+ * @returns {Promise<{warnings: Array<Object>, points: number}>}
+ */
+export async function getActiveWarnings(userUid) {
+  const warnings = await Warning.find({
+    userUid,
+    revoked: false,
+    expiresAt: { $gt: new Date().toISOString() }
+  }).sort({ createdAt: -1 });
+
+  return {
+    warnings,
+    points: warnings.reduce((total, warning) => total + warning.points, 0)
+  };
+}
+
+// Find or create the role used for a mute/posting restriction
+async function getSanctionRole(action) {
+  const definition = SANCTION_ROLES[action];
+  let role = await Role.findOne({ slug: definition.slug });
+
+  if (!role) {
+    role = new Role({
+      ...definition,
+      priority: SANCTION_ROLE_PRIORITY,
+      metadata: { system: true }
+    });
+    await role.save();
+  } else if (!role.active) {
+    role.active = true;
+    await role.save();
+  }
+
+  return role;
+}
+
+// Apply a single sanction; returns the record kept on the warning
+async function applySanction(user, threshold, totalPoints) {
+  const expiresAt = new Date(Date.now() + threshold.durationHours * 60 * 60 * 1000).toISOString();
+  const sanction = { action: threshold.action, threshold: threshold.points, expiresAt };
+
+  if (threshold.action === 'temp_ban') {
+    // Never shorten a longer ban that is already in place
+    if (user.banned && (!user.banExpiresAt || user.banExpiresAt > expiresAt)) {
+      return null;
+    }
+    const ban = await issueBan(user, {
+      reason: `Automatic ban: reached ${totalPoints} warning points`,
+      bannedBy: null,
+      expiresAt
+    });
+    sanction.banId = ban.id;
+    return sanction;
+  }
+
+  const role = await getSanctionRole(threshold.action);
+  const userRole = new UserRole({
+    userUid: user.uid,
+    roleId: role.id,
+    assignedBy: null,
+    expiresAt,
+    metadata: { source: 'warning' }
+  });
+  await userRole.save();
+  invalidatePermissionCache(user.uid);
+
+  sanction.userRoleId = userRole.id;
+  return sanction;
+}
+
+/**
+ * Issue a warning and apply any sanctions for thresholds it crosses
+ * @param {Object} user - Warned user document
+ * @param {Object} options
+ * @param {number} options.issuedBy - UID of the moderator
+ * @param {string} options.reason - Why the user is warned
+ * @param {number} options.points - Points the warning is worth
+ * @param {number|null} options.reportId - Related report, if any
+ * @returns {Promise<{warning: Object, points: number}>}
+ */
+export async function issueWarning(user, { issuedBy, reason, points, reportId = null }) {
+  const policy = await getWarningPolicy();
+  const { points: previousPoints } = await getActiveWarnings(user.uid);
+  const totalPoints = previousPoints + points;
+
+  const warning = new Warning({
+    userUid: user.uid,
+    issuedBy,
+    reason,
+    points,
+    reportId,
+    expiresAt: new Date(Date.now() + policy.decayDays * 24 * 60 * 60 * 1000).toISOString()
+  });
+  await warning.save();
+
+  // Only thresholds crossed by this warning, so earlier sanctions aren't repeated
+  const crossed = policy.thresholds.filter(t => previousPoints < t.points && totalPoints >= t.points);
+  for (const threshold of crossed) {
+    const sanction = await applySanction(user, threshold, totalPoints);
+    if (sanction) {
+      warning.sanctions.push(sanction);
+    }
+  }
+  if (warning.sanctions.length > 0) {
+    await warning.save();
+  }
+
+  const sanctionText = warning.sanctions.length > 0
+    ? ` This resulted in: ${warning.sanctions.map(s => `${SANCTION_LABELS[s.action]} until ${new Date(s.expiresAt).toUTCString()}`).join(', ')}.`
+    : '';
+
+  await Notification.createNotification(
+    user.uid,
+    'system',
+    'You have received a warning',
+    `A moderator warned you (${points} point${points === 1 ? '' : 's'}): ${reason}. ` +
+      `You now have ${totalPoints} active warning point${totalPoints === 1 ? '' : 's'}.${sanctionText}`,
+    { warningId: warning.id, points, totalPoints },
+    warning.id,
+    issuedBy
+  );
+
+  return { warning, points: totalPoints };
+}
+
+/**
+ * Revoke a warning and lift the sanctions it triggered
+ * @param {Object} warning - Warning document
+ * @param {Object|null} user - Warned user document (null if the account was deleted)
+ * @param {Object} options
+ * @param {number} options.revokedBy - UID of the staff member
+ * @param {string|null} options.reason - Why it was revoked
+ * @returns {Promise<Object>} - Updated warning
+ */
+export async function revokeWarning(warning, user, { revokedBy, reason = null }) {
+  warning.revoked = true;
+  warning.revokedBy = revokedBy;
+  warning.revokedAt = new Date().toISOString();
+  warning.revokeReason = reason;
+  await warning.save();
+
+  for (const sanction of warning.sanctions) {
+    if (sanction.userRoleId) {
+      await UserRole.updateOne(
+        { id: sanction.userRoleId, active: true },
+        { $set: { active: false, 'metadata.revokedBy': revokedBy, 'metadata.revokedAt': warning.revokedAt } }
+      );
+      invalidatePermissionCache(warning.userUid);
+    }
+
+    // A deleted account has no ban left to lift
+    if (sanction.banId && user && user.banned) {
+      const activeBan = await Ban.findOne({ id: sanction.banId, active: true });
+      if (activeBan) {
+        await liftBan(user, { liftedBy: revokedBy, reason: 'unbanned' });
+      }
+    }
+  }
+
+  return warning;
+}
+
+/**
+ * Get the sanctions currently restricting a user
+ * @param {number} userUid - User UID
+ * @returns {Promise<Array<Object>>} - [{ action, expiresAt }]
+ */
+export async function getActiveSanctions(userUid) {
+  const roles = await Role.find({ slug: { $in: Object.values(SANCTION_ROLES).map(r => r.slug) } });
+  const actionByRoleId = new Map(roles.map(role => [
+    role.id,
+    Object.keys(SANCTION_ROLES).find(action => SANCTION_ROLES[action].slug === role.slug)
+  ]));
+
+  const userRoles = await UserRole.find({ userUid, roleId: { $in: [...actionByRoleId.keys()] }, active: true });
+  return userRoles
+    .filter(userRole => userRole.isValid())
+    .map(userRole => ({ action: actionByRoleId.get(userRole.roleId), expiresAt: userRole.expiresAt }));
+}
+
+export default {
+  WARNING_POLICY_SETTING,
+  SANCTION_ACTIONS,
+  DEFAULT_WARNING_POLICY,
+  getWarningPolicy,
+  validateWarningPolicy,
+  getActiveWarnings,
+  issueWarning,
+  revokeWarning,
+  getActiveSanctions
+};